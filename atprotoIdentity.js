@@ -0,0 +1,67 @@
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+
+// Resolve a Bluesky handle to its DID; returns null if the handle doesn't resolve
+async function resolveHandle(handle) {
+    const cleaned = handle.replace(/^@/, '').toLowerCase();
+    const cached = lookupCache.get('handleDid', cleaned);
+    if (cached.hit) return cached.value;
+    const check = await http.checkExists(`https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(cleaned)}`, {
+        notFoundStatuses: [400, 404]
+    });
+    if (check.outcome === http.UNKNOWN) throw check.error;
+    const did = check.outcome === http.FOUND ? check.response.data.did : null;
+    lookupCache.set('handleDid', cleaned, did);
+    return did;
+}
+
+// Fetch the DID document for a did:plc or did:web identifier
+async function fetchDidDocument(did) {
+    if (did.startsWith('did:plc:')) {
+        return (await http.get(`https://plc.directory/${did}`)).data;
+    }
+    if (did.startsWith('did:web:')) {
+        const domain = decodeURIComponent(did.slice('did:web:'.length));
+        return (await http.get(`https://${domain}/.well-known/did.json`)).data;
+    }
+    throw new Error(`Unsupported DID method: ${did}`);
+}
+
+// Resolve a DID to the handle its DID document claims (at://handle in alsoKnownAs).
+// Used for accounts the AppView reports as handle.invalid; the claimed handle may not verify.
+async function resolveDidHandle(did) {
+    const cached = lookupCache.get('didHandle', did);
+    if (cached.hit) return cached.value;
+    const doc = await fetchDidDocument(did);
+    const aka = (doc.alsoKnownAs || []).find(entry => entry.startsWith('at://'));
+    const handle = aka ? aka.slice('at://'.length).toLowerCase() : null;
+    lookupCache.set('didHandle', did, handle);
+    return handle;
+}
+
+// Pull the DID out of a Bridgy Fed actor URL like https://bsky.brid.gy/ap/did:plc:abc
+function didFromBridgyActorUrl(url) {
+    const match = (url || '').match(/\/ap\/(did:[a-z]+:[^/?#]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Check a handle against atproto's syntax: dot-separated labels of letters, digits and hyphens,
+// each at most 63 characters, 253 characters in total
+function isValidHandle(handle) {
+    if (!handle || handle.length > 253) return false;
+    const labels = handle.split('.');
+    return labels.length >= 2 && labels.every(label => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(label));
+}
+
+function isInvalidHandle(handle) {
+    return !handle || handle.toLowerCase() === 'handle.invalid';
+}
+
+module.exports = {
+    resolveHandle,
+    fetchDidDocument,
+    resolveDidHandle,
+    didFromBridgyActorUrl,
+    isValidHandle,
+    isInvalidHandle
+};
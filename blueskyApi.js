@@ -0,0 +1,79 @@
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+
+// Fetch every page of a Bluesky graph listing (follows or followers) from the public API as
+// { did, handle } entries; the DID is the stable key, the handle is only for display.
+// Throws if a page can't be fetched, so a truncated list is never mistaken for the full one.
+async function fetchGraphAccounts(endpoint, listKey, actorHandleOrDid, maxEntries = null, onPage = null) {
+    let cursor = undefined;
+    let accounts = [];
+    let totalFetched = 0;
+    while (true) {
+        const url = `https://public.api.bsky.app/xrpc/${endpoint}?actor=${encodeURIComponent(actorHandleOrDid)}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}&limit=100`;
+        let response;
+        try {
+            response = await http.get(url);
+        } catch (err) {
+            throw new Error(`Could not fetch ${listKey} for ${actorHandleOrDid}: ${http.describeError(err)}`);
+        }
+        if (response.data && Array.isArray(response.data[listKey])) {
+            for (const entry of response.data[listKey]) {
+                if (entry.did) accounts.push({ did: entry.did, handle: (entry.handle || 'handle.invalid').toLowerCase() });
+                totalFetched++;
+                if (maxEntries && totalFetched >= maxEntries) break;
+            }
+            if (onPage) onPage(totalFetched);
+            if (maxEntries && totalFetched >= maxEntries) break;
+            if (response.data.cursor) {
+                cursor = response.data.cursor;
+            } else {
+                break;
+            }
+        } else {
+            break;
+        }
+    }
+    return accounts;
+}
+
+// Fetch followers of a BSKY account using the public API
+async function fetchFollowers(actorHandleOrDid, maxEntries = null) {
+    return fetchGraphAccounts('app.bsky.graph.getFollowers', 'followers', actorHandleOrDid, maxEntries);
+}
+
+// Fetch the list of accounts a user is following (their "follows") using the public API
+async function fetchFollows(userHandleOrDid, maxEntries = null, onPage = null) {
+    return fetchGraphAccounts('app.bsky.graph.getFollows', 'follows', userHandleOrDid, maxEntries, onPage);
+}
+
+// Fetch a user's follows as a Map of DID → lowercased handle, for matching accounts by DID
+async function fetchFollowsByDid(userHandleOrDid, maxEntries = null, onPage = null) {
+    const follows = await fetchFollows(userHandleOrDid, maxEntries, onPage);
+    return new Map(follows.map(follow => [follow.did, follow.handle]));
+}
+
+// Check if a Bluesky account exists
+async function checkAccountExists(accountAddress) {
+    const formattedAddress = accountAddress.replace('@', '');
+    const profileUrl = `https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor=${formattedAddress}`;
+    // Cache found accounts and "profile not found" answers, but not failed checks
+    return lookupCache.wrap('bskyProfile', formattedAddress, async () => {
+        // getProfile answers 400 "Profile not found" for unknown actors
+        const check = await http.checkExists(profileUrl, { notFoundStatuses: [400, 404] });
+        const result = { exists: check.outcome === http.FOUND, address: formattedAddress, outcome: check.outcome };
+        if (check.outcome === http.FOUND) {
+            result.did = check.response.data.did;
+            result.handle = check.response.data.handle;
+        }
+        if (check.error) result.error = http.describeError(check.error);
+        return result;
+    }, result => result.outcome !== http.UNKNOWN);
+}
+
+module.exports = {
+    fetchGraphAccounts,
+    fetchFollowers,
+    fetchFollows,
+    fetchFollowsByDid,
+    checkAccountExists
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const { checkAccountExists } = require('./blueskyApi.js');
+const { isValidHandle } = require('./atprotoIdentity.js');
+const bridgyFed = require('./bridgyFed.js');
+
+// A bridge provider describes one bridge (or a service that federates on its own terms):
+//   id, name          Stable key (written to the reports) and display name
+//   domains           Every domain the bridge runs under; links there are never someone's native account
+//   excludeDomains    Fediverse domains whose accounts are skipped when converting Mastodon follows
+//   blueskyDomains    Handle suffixes its bridged Fediverse accounts get on Bluesky
+//   fediverseDomains  Address domains its bridged Bluesky accounts get on the Fediverse
+// Mastodon → Bluesky (optional):
+//   findBlueskyAccount(address)  Resolves to { exists, outcome, did, handle, method, error }
+// Bluesky → Fediverse (optional, all three together):
+//   prepare({ run, onProgress }) Loads whatever isBridged needs, once per run
+//   isBridged({ did, handle })   Resolves to http.FOUND, NOT_FOUND or UNKNOWN
+//   fediverseAddress(handle)     Address of the bridged copy, without the leading @
+// Optional extras: confirmBridged(didOrHandle) re-checks accounts missing from the instance,
+// actorUrl(did) and didFromActorUrl(url) reach accounts without a verified handle, and
+// optOutReason(profile) tells from a Bluesky profile why the bridge leaves the account out.
+
+// Bridgy Fed, plus services Bridgy Fed can't bridge: Threads federates natively but isn't bridged,
+// and bird.makeup mirrors X (Twitter) accounts into the Fediverse
+const BUILT_IN = [
+    bridgyFed.provider,
+    { id: 'threads', name: 'Threads', domains: [], excludeDomains: ['threads.net'], blueskyDomains: [], fediverseDomains: [] },
+    { id: 'bird-makeup', name: 'bird.makeup', domains: ['bird.makeup'], excludeDomains: ['bird.makeup'], blueskyDomains: [], fediverseDomains: [] }
+];
+
+const DEFAULT_BRIDGES_FILE = 'bridges.json';
+
+// Enabled providers; read on first use when configure() hasn't been called
+let providers = null;
+
+function matchesDomain(domain, list) {
+    const lower = (domain || '').toLowerCase();
+    return list.some(entry => lower === entry || lower.endsWith(`.${entry}`));
+}
+
+// Fill {placeholders} in a template; unknown placeholders are left as they are
+function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] !== undefined ? values[key] : placeholder));
+}
+
+// Build a provider from a bridges file entry. Addresses are mapped with templates:
+//   blueskyHandle    Handle a Fediverse account gets on Bluesky, from {username} and {instance}
+//   fediverseDomain  Domain Bluesky accounts get on the Fediverse (@handle@fediverseDomain)
+//   bridgedUrl       URL answering 2xx when a Bluesky account ({did}, {handle}) is bridged and 404 when not
+//   actorUrl         Fediverse actor URL of a bridged Bluesky account, from {did}
+function templateProvider(spec) {
+    const lowerList = list => (list || []).map(domain => domain.toLowerCase());
+    const blueskySuffix = spec.blueskyHandle ? spec.blueskyHandle.replace(/^.*\}\.?/, '').toLowerCase() : '';
+    const provider = {
+        id: spec.id,
+        name: spec.name || spec.id,
+        excludeDomains: lowerList(spec.excludeDomains),
+        blueskyDomains: spec.blueskyDomains ? lowerList(spec.blueskyDomains) : (blueskySuffix ? [blueskySuffix] : []),
+        fediverseDomains: spec.fediverseDomain ? [spec.fediverseDomain.toLowerCase()] : []
+    };
+    provider.domains = spec.domains
+        ? lowerList(spec.domains)
+        : [...new Set([...provider.excludeDomains, ...provider.blueskyDomains, ...provider.fediverseDomains])];
+
+    if (spec.blueskyHandle) {
+        provider.findBlueskyAccount = async (sourceAddress) => {
+            const [username, instance] = sourceAddress.replace(/^@/, '').toLowerCase().split('@');
+            const handle = fillTemplate(spec.blueskyHandle, { username: username.replace(/[_~]/g, '-'), instance });
+            if (!isValidHandle(handle)) return { exists: false, outcome: http.NOT_FOUND, method: null };
+            const result = await checkAccountExists(handle);
+            if (result.exists) {
+                return { exists: true, outcome: http.FOUND, did: result.did, handle: (result.handle || handle).toLowerCase(), method: 'String mapping' };
+            }
+            return { exists: false, outcome: result.outcome, method: null, error: result.error };
+        };
+    }
+    if (spec.fediverseDomain && spec.bridgedUrl) {
+        provider.prepare = async () => {};
+        provider.isBridged = async (account) => {
+            const target = `${provider.id}:${account.did}`;
+            const cached = lookupCache.get('bridgeStatus', target);
+            if (cached.hit) return cached.value ? http.FOUND : http.NOT_FOUND;
+            const url = fillTemplate(spec.bridgedUrl, { did: encodeURIComponent(account.did), handle: encodeURIComponent(account.handle) });
+            const check = await http.checkExists(url);
+            // Only cache definite answers, not failed checks
+            if (check.outcome !== http.UNKNOWN) lookupCache.set('bridgeStatus', target, check.outcome === http.FOUND);
+            return check.outcome;
+        };
+        provider.fediverseAddress = handle => `${handle}@${provider.fediverseDomains[0]}`;
+    }
+    if (spec.actorUrl) {
+        provider.actorUrl = did => fillTemplate(spec.actorUrl, { did });
+    }
+    return provider;
+}
+
+// Read a bridges file: a JSON list of providers (or { "providers": [...] }). An entry with a built-in
+// id and "enabled": false turns that provider off; other entries add providers.
+function loadBridgesFile(filePath) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read bridges file ${filePath}: ${err.message}`);
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed.providers;
+    if (!Array.isArray(entries)) {
+        throw new Error(`Bridges file ${filePath} must contain a list of providers`);
+    }
+    const disabled = new Set();
+    const added = [];
+    for (const entry of entries) {
+        if (!entry || typeof entry.id !== 'string' || !/^[a-z0-9-]+$/.test(entry.id)) {
+            throw new Error(`Bridges file ${filePath}: every provider needs an "id" of lowercase letters, digits and hyphens`);
+        }
+        const builtIn = BUILT_IN.some(provider => provider.id === entry.id);
+        if (entry.enabled === false) {
+            disabled.add(entry.id);
+        } else if (builtIn) {
+            throw new Error(`Bridges file ${filePath}: "${entry.id}" is built in; it can only be turned off with "enabled": false`);
+        } else {
+            added.push(templateProvider(entry));
+        }
+    }
+    return [...BUILT_IN, ...added].filter(provider => !disabled.has(provider.id));
+}
+
+// Set the enabled providers from CLI args: --bridges FILE, or bridges.json in the working directory
+// if there is one. Throws if the file can't be used.
+function configure(args = []) {
+    const index = args.indexOf('--bridges');
+    const filePath = index !== -1 && args[index + 1] ? args[index + 1] : null;
+    if (filePath) {
+        providers = loadBridgesFile(filePath);
+    } else if (fs.existsSync(DEFAULT_BRIDGES_FILE)) {
+        providers = loadBridgesFile(DEFAULT_BRIDGES_FILE);
+    } else {
+        providers = BUILT_IN;
+    }
+}
+
+function enabled() {
+    if (!providers) configure();
+    return providers;
+}
+
+// Enabled provider by id (rows written before reports had a Bridge column came from Bridgy Fed)
+function get(id) {
+    return enabled().find(provider => provider.id === (id || bridgyFed.provider.id)) || null;
+}
+
+// Display name of the provider with this id, for reports; unknown ids are shown as they are
+function bridgeName(id) {
+    if (!id) return '';
+    const provider = get(id);
+    return provider ? provider.name : id;
+}
+
+// Whether a Mastodon address lives on a domain some provider excludes from conversion
+function isExcluded(address) {
+    const domain = address.replace(/^@/, '').split('@')[1];
+    return enabled().some(provider => matchesDomain(domain, provider.excludeDomains));
+}
+
+// Whether a domain (or handle) belongs to one of the bridges
+function isBridgeDomain(domain) {
+    return enabled().some(provider => matchesDomain(domain, provider.domains));
+}
+
+// Provider whose bridged Fediverse accounts carry this Bluesky handle, if any
+function providerForBlueskyHandle(handle) {
+    return enabled().find(provider => matchesDomain(handle, provider.blueskyDomains)) || null;
+}
+
+// Provider whose bridged Bluesky accounts carry this Fediverse address, if any
+function providerForFediverseAddress(address) {
+    const domain = address.replace(/^@/, '').split('@')[1];
+    return enabled().find(provider => matchesDomain(domain, provider.fediverseDomains)) || null;
+}
+
+// Providers that can bridge Bluesky accounts to the Fediverse
+function fediverseProviders() {
+    return enabled().filter(provider => provider.isBridged && provider.fediverseAddress);
+}
+
+// Resolve a Mastodon account to a bridged Bluesky account through each provider in turn. Returns the
+// first match with the provider's id as bridge; UNKNOWN if nothing matched and some lookup failed.
+async function resolveBlueskyAccount(address) {
+    let failure = null;
+    for (const provider of enabled().filter(candidate => candidate.findBlueskyAccount)) {
+        const result = await provider.findBlueskyAccount(address);
+        if (result.exists) return { ...result, bridge: provider.id };
+        if (result.outcome === http.UNKNOWN && !failure) failure = result;
+    }
+    return failure ? { ...failure, bridge: null } : { exists: false, outcome: http.NOT_FOUND, method: null, bridge: null };
+}
+
+// Load what every Bluesky → Fediverse provider needs for the run; throws if one can't be loaded.
+// onProgress gets the providers' progress events (see radar.js).
+async function prepareFediverseProviders({ run = null, onProgress = () => {} } = {}) {
+    for (const provider of fediverseProviders()) {
+        await provider.prepare({ run, onProgress });
+    }
+}
+
+// Find the provider bridging a Bluesky account ({ did, handle }) to the Fediverse. Returns
+// { provider, outcome }; provider is null when none does (outcome UNKNOWN if a check failed).
+// Accounts without a verified handle only count for providers that can reach them by actor URL.
+async function findFediverseBridge(account, { verified = true } = {}) {
+    let outcome = http.NOT_FOUND;
+    for (const provider of fediverseProviders()) {
+        if (!verified && !provider.actorUrl) continue;
+        const result = await provider.isBridged(account);
+        if (result === http.FOUND) return { provider, outcome: result };
+        if (result === http.UNKNOWN) outcome = http.UNKNOWN;
+    }
+    return { provider: null, outcome };
+}
+
+module.exports = {
+    BUILT_IN,
+    templateProvider,
+    loadBridgesFile,
+    configure,
+    enabled,
+    get,
+    bridgeName,
+    isExcluded,
+    isBridgeDomain,
+    providerForBlueskyHandle,
+    providerForFediverseAddress,
+    fediverseProviders,
+    resolveBlueskyAccount,
+    prepareFediverseProviders,
+    findFediverseBridge
+};
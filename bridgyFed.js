@@ -0,0 +1,181 @@
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const { webfinger } = require('./mastodonApi.js');
+const { fetchGraphAccounts, checkAccountExists } = require('./blueskyApi.js');
+const { isValidHandle, didFromBridgyActorUrl } = require('./atprotoIdentity.js');
+
+const BRIDGY_FED_URL = 'https://fed.brid.gy';
+
+// Convert a Mastodon account address to the Bluesky brid.gy format
+function convertAddressFormat(address) {
+    const formattedAddress = address.replace(/[_~]/g, '-');
+    const [username, instance] = formattedAddress.split('@');
+    return `${username}.${instance}.ap.brid.gy`;
+}
+
+// Ask Bridgy Fed which Bluesky account it bridges a Fediverse address to. Bridgy Fed answers atproto
+// handle resolution (/.well-known/atproto-did) for the *.ap.brid.gy handle of every account it bridges,
+// with the account's DID and nothing else, so the answer can't be confused with links the account posts.
+// Returns the DID, or null if Bridgy Fed doesn't bridge the account to Bluesky. Throws if the lookup fails.
+async function lookupBlueskyActor(address) {
+    const handle = convertAddressFormat(address.replace(/^@/, '').toLowerCase());
+    if (!isValidHandle(handle)) return null;
+    const check = await http.checkExists(`https://${handle}/.well-known/atproto-did`, { responseType: 'text' });
+    if (check.outcome === http.UNKNOWN) throw check.error;
+    if (check.outcome === http.NOT_FOUND) return null;
+    const did = String(check.response.data || '').trim();
+    return /^did:(?:plc:[a-z2-7]{24}|web:[a-z0-9.%-]+)$/i.test(did) ? did : null;
+}
+
+// Resolve a Mastodon account to its bridged Bluesky account. Bridgy Fed's own lookup is tried first
+// (with the canonical address from WebFinger), then handles derived from the WebFinger answer, and the
+// plain string mapping last. Returns { exists, outcome, did, handle, method } where method says which
+// of those matched.
+async function resolveBridgedAccount(sourceAddress) {
+    const address = sourceAddress.replace(/^@/, '').toLowerCase();
+    // Only definite answers are cached, not failed lookups
+    return lookupCache.wrap('bridgedAccount', address, async () => {
+        let failure = null;
+        let canonical = address;
+        let actorHost = null;
+        try {
+            const finger = await webfinger(address);
+            if (finger) {
+                canonical = finger.subject;
+                actorHost = finger.actorUrl ? new URL(finger.actorUrl).hostname.toLowerCase() : null;
+            }
+        } catch (err) {
+            // Bridgy Fed and the string mapping can still answer without WebFinger
+        }
+
+        const candidates = [];
+        try {
+            const actor = await lookupBlueskyActor(canonical);
+            if (actor) candidates.push({ actor, method: 'Bridgy Fed' });
+        } catch (err) {
+            failure = err;
+        }
+        // The WebFinger address or the actor's own domain can differ from the address in the export
+        const [username] = canonical.split('@');
+        for (const alternative of [canonical, actorHost && `${username}@${actorHost}`]) {
+            if (alternative && alternative !== address) candidates.push({ actor: convertAddressFormat(alternative), method: 'WebFinger' });
+        }
+        candidates.push({ actor: convertAddressFormat(address), method: 'String mapping' });
+
+        const tried = new Set();
+        for (const { actor, method } of candidates) {
+            // Handles over atproto's length limits can't exist, so there is nothing to look up
+            if (tried.has(actor) || (!actor.startsWith('did:') && !isValidHandle(actor))) continue;
+            tried.add(actor);
+            const result = await checkAccountExists(actor);
+            if (result.exists) {
+                return { exists: true, outcome: http.FOUND, did: result.did, handle: (result.handle || result.address).toLowerCase(), method };
+            }
+            if (result.outcome === http.UNKNOWN && !failure) failure = result.error;
+        }
+        if (failure) {
+            return { exists: false, outcome: http.UNKNOWN, method: null, error: typeof failure === 'string' ? failure : http.describeError(failure) };
+        }
+        return { exists: false, outcome: http.NOT_FOUND, method: null };
+    }, result => result.outcome !== http.UNKNOWN);
+}
+
+// Check whether Bridgy Fed bridges a Bluesky account (returns http.FOUND, NOT_FOUND or UNKNOWN).
+// Takes the account's DID, or its Bluesky handle when the DID isn't known.
+async function checkBridgyFedProfileExists(bskyHandleOrDid) {
+    // Remove leading @ if present
+    const handle = bskyHandleOrDid.replace(/^@/, '');
+    const cached = lookupCache.get('bridgyFedProfile', handle);
+    if (cached.hit) return cached.value ? http.FOUND : http.NOT_FOUND;
+    const url = `${BRIDGY_FED_URL}/bsky/${handle}`;
+    const check = await http.checkExists(url);
+    // Only cache definite answers, not failed checks
+    if (check.outcome !== http.UNKNOWN) {
+        lookupCache.set('bridgyFedProfile', handle, check.outcome === http.FOUND);
+    }
+    return check.outcome;
+}
+
+// Fetch the DIDs of accounts followed by the bridge account (ap.brid.gy); throws if the crawl can't be completed.
+// onProgress gets { stage: 'bridgeFollows', done, total } events; total is only set once the list is complete.
+async function fetchBridgeFollowingDids(bridgeHandle = 'ap.brid.gy', onProgress = () => {}) {
+    const cached = lookupCache.get('bridgeFollowDids', bridgeHandle);
+    if (cached.hit) {
+        onProgress({ stage: 'bridgeFollows', done: cached.value.length, total: cached.value.length, from: 'cache' });
+        return new Set(cached.value);
+    }
+
+    onProgress({ stage: 'bridgeFollows', done: 0, total: null });
+    let totalFetched = 0;
+    const accounts = await fetchGraphAccounts('app.bsky.graph.getFollows', 'follows', bridgeHandle, null, fetched => {
+        totalFetched = fetched;
+        if (fetched > 0) onProgress({ stage: 'bridgeFollows', done: fetched, total: null });
+    });
+    onProgress({ stage: 'bridgeFollows', done: totalFetched, total: totalFetched });
+    const bridgeSet = new Set(accounts.map(account => account.did));
+    // The crawl either reaches the end of the list or throws, so it is safe to cache
+    lookupCache.set('bridgeFollowDids', bridgeHandle, [...bridgeSet]);
+    return bridgeSet;
+}
+
+// Bridgy Fed's Fediverse actor URL for a Bluesky account, which works without a handle
+function actorUrl(did) {
+    return `https://bsky.brid.gy/ap/${did}`;
+}
+
+// Why Bridgy Fed leaves a Bluesky account out, from its profile (app.bsky.actor.getProfiles): #nobridge
+// in the bio, or the label that hides the account from logged-out users. null if neither is there.
+function optOutReason(profile) {
+    if (/#nobridge\b/i.test(profile.description || '')) return 'The account opted out of the bridge with #nobridge in its bio';
+    if ((profile.labels || []).some(label => label.val === '!no-unauthenticated')) {
+        return 'The account hides itself from logged-out users, which the bridge treats as opting out';
+    }
+    return null;
+}
+
+// DIDs followed by ap.brid.gy, loaded by prepare()
+let bridgedDids = null;
+
+// Bridgy Fed as a bridge provider (see bridgeProviders.js for the interface)
+const provider = {
+    id: 'bridgy-fed',
+    name: 'Bridgy Fed',
+    domains: ['brid.gy'],
+    excludeDomains: ['bsky.brid.gy'],
+    blueskyDomains: ['ap.brid.gy'],
+    fediverseDomains: ['bsky.brid.gy'],
+    findBlueskyAccount: resolveBridgedAccount,
+    // Bluesky accounts are bridged if ap.brid.gy follows them; the list is checkpointed with the run
+    async prepare({ run = null, onProgress = () => {} } = {}) {
+        const saved = run && run.loadStage('bridgeFollows');
+        if (saved) {
+            bridgedDids = new Set(saved);
+            onProgress({ stage: 'bridgeFollows', done: bridgedDids.size, total: bridgedDids.size, from: 'checkpoint' });
+            return;
+        }
+        bridgedDids = await fetchBridgeFollowingDids('ap.brid.gy', onProgress);
+        if (run) run.saveStage('bridgeFollows', [...bridgedDids]);
+    },
+    async isBridged(account) {
+        return bridgedDids.has(account.did) ? http.FOUND : http.NOT_FOUND;
+    },
+    // The follow list can lag behind; fed.brid.gy has the final word for accounts missing from the instance
+    confirmBridged: checkBridgyFedProfileExists,
+    optOutReason,
+    fediverseAddress(handle) {
+        return `${handle}@bsky.brid.gy`;
+    },
+    actorUrl,
+    didFromActorUrl: didFromBridgyActorUrl
+};
+
+module.exports = {
+    BRIDGY_FED_URL,
+    convertAddressFormat,
+    lookupBlueskyActor,
+    resolveBridgedAccount,
+    checkBridgyFedProfileExists,
+    fetchBridgeFollowingDids,
+    actorUrl,
+    provider
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const http = require('./httpClient.js');
+const { parse } = require('csv-parse/sync');
+const chalk = require('chalk').default;
+const interaction = require('./interaction.js');
+const { fetchFollowsByDid } = require('./blueskyApi.js');
+
+const BSKY_SERVICE = process.env.BSKY_SERVICE || 'https://bsky.social';
+
+// Pause between follow writes so large batches don't hammer the PDS
+const FOLLOW_DELAY_MS = 250;
+
+// Log in with a Bluesky app password and return the session (accessJwt, did, handle)
+async function createSession(identifier, appPassword, service = BSKY_SERVICE) {
+    const url = `${service}/xrpc/com.atproto.server.createSession`;
+    const response = await http.post(url, {
+        identifier: identifier.replace(/^@/, ''),
+        password: appPassword
+    });
+    return { ...response.data, service };
+}
+
+// Resolve a Bluesky handle to its DID using the public API
+async function resolveHandle(handle) {
+    const url = `https://public.api.bsky.app/xrpc/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(handle)}`;
+    const response = await http.get(url);
+    return response.data.did;
+}
+
+// Create an app.bsky.graph.follow record in the logged-in user's repo
+async function createFollowRecord(session, subjectDid) {
+    const url = `${session.service}/xrpc/com.atproto.repo.createRecord`;
+    const response = await http.post(url, {
+        repo: session.did,
+        collection: 'app.bsky.graph.follow',
+        record: {
+            $type: 'app.bsky.graph.follow',
+            subject: subjectDid,
+            createdAt: new Date().toISOString()
+        }
+    }, {
+        headers: { Authorization: `Bearer ${session.accessJwt}` }
+    });
+    return response.data.uri;
+}
+
+// Read the "Bridged, not yet followed" rows from a Mastodon → Bluesky results CSV as { handle, did }
+// (did is empty for files written before the results had a DID column)
+function readFollowCandidates(outputCsvPath) {
+    const fileContent = fs.readFileSync(outputCsvPath, 'utf8');
+    const records = parse(fileContent, { columns: true, skip_empty_lines: true });
+    return records
+        .filter(record => record.status === 'Bridged, not yet followed')
+        .map(record => ({ handle: record['Account address'].replace(/^@/, '').toLowerCase(), did: record.DID || '' }));
+}
+
+// Parse a selection like "all", "1-10,15" into a list of zero-based indexes
+function parseSelection(selection, count) {
+    const trimmed = (selection || '').trim().toLowerCase();
+    if (!trimmed || trimmed === 'all') {
+        return [...Array(count).keys()];
+    }
+    const indexes = new Set();
+    for (const part of trimmed.split(',')) {
+        const [start, end] = part.split('-').map(n => parseInt(n.trim(), 10));
+        if (Number.isNaN(start)) continue;
+        const last = Number.isNaN(end) ? start : end;
+        for (let n = start; n <= last; n++) {
+            if (n >= 1 && n <= count) indexes.add(n - 1);
+        }
+    }
+    return [...indexes].sort((a, b) => a - b);
+}
+
+// Print the accounts that would be followed
+function printFollowPreview(handles, network = 'Bluesky') {
+    console.log(chalk.bold(`\n${handles.length} account${handles.length === 1 ? '' : 's'} selected to follow on ${network}:`));
+    handles.forEach((handle, i) => {
+        console.log(`  ${chalk.gray(String(i + 1).padStart(4, ' '))}  ${handle}`);
+    });
+    console.log('');
+}
+
+// Write the per-account follow results (overwrites on each run); the list syncs log their changes with
+// it too, under their own label
+function writeFollowLog(entries, logPath, idColumn = 'DID', label = 'Follow results') {
+    const lines = [`Handle,${idColumn},Result,Detail`];
+    for (const entry of entries) {
+        const fields = [entry.handle, entry.id || '', entry.result, entry.detail || ''];
+        lines.push(fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+    }
+    fs.writeFileSync(logPath, lines.join('\n') + '\n', 'utf8');
+    console.log(chalk.green(`${label} saved as ${logPath} (${entries.length} entries).`));
+}
+
+// Follow the given bridged accounts ({ handle, did }) from the logged-in Bluesky account
+async function followBridgedAccounts(accounts, { identifier, appPassword, dryRun = false, logPath } = {}) {
+    printFollowPreview(accounts.map(account => account.handle));
+
+    if (dryRun) {
+        console.log(chalk.yellow('Dry run: no follows were created.'));
+        writeFollowLog(accounts.map(({ handle, did }) => ({ handle, id: did, result: 'dry-run' })), logPath);
+        return { followed: 0, skipped: 0, failed: 0, dryRun: true };
+    }
+
+    let session;
+    try {
+        session = await createSession(identifier, appPassword);
+    } catch (err) {
+        console.error(chalk.red(`Could not log in to Bluesky as ${identifier}: ${http.describeError(err)}`));
+        interaction.markFatal();
+        return { followed: 0, skipped: 0, failed: accounts.length, dryRun: false };
+    }
+    console.log(chalk.green(`Logged in to Bluesky as ${session.handle}.`));
+
+    // Re-check current follows (by DID) so accounts followed since the report was written are skipped
+    console.log(chalk.cyan('Fetching your current Bluesky follows...'));
+    let followedByDid;
+    try {
+        followedByDid = await fetchFollowsByDid(session.did);
+    } catch (err) {
+        console.error(chalk.red(`${err.message}. No follows were created.`));
+        interaction.markFatal();
+        return { followed: 0, skipped: 0, failed: accounts.length, dryRun: false };
+    }
+
+    const entries = [];
+    let followed = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const { handle, did: knownDid } of accounts) {
+        let did = knownDid || null;
+        try {
+            if (!did) did = await resolveHandle(handle);
+            if (followedByDid.has(did)) {
+                entries.push({ handle, id: did, result: 'skipped', detail: 'Already followed' });
+                skipped++;
+                console.log(chalk.gray(`  skipped   ${handle} (already followed)`));
+                continue;
+            }
+            await createFollowRecord(session, did);
+            entries.push({ handle, id: did, result: 'followed' });
+            followed++;
+            console.log(chalk.green(`  followed  ${handle}`));
+        } catch (err) {
+            const detail = http.describeError(err);
+            entries.push({ handle, id: did, result: 'failed', detail });
+            failed++;
+            console.log(chalk.red(`  failed    ${handle}: ${detail}`));
+        }
+        await http.sleep(FOLLOW_DELAY_MS);
+    }
+
+    writeFollowLog(entries, logPath);
+    console.log(chalk.bold.cyan(`\nFollowed ${followed}, skipped ${skipped} already followed, ${failed} failed.`));
+    if (failed > 0) interaction.markPartialFailure();
+    return { followed, skipped, failed, dryRun: false };
+}
+
+module.exports = {
+    createSession,
+    resolveHandle,
+    createFollowRecord,
+    readFollowCandidates,
+    parseSelection,
+    printFollowPreview,
+    writeFollowLog,
+    followBridgedAccounts
+};
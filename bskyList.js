@@ -0,0 +1,180 @@
+const fs = require('fs');
+const http = require('./httpClient.js');
+const { parse } = require('csv-parse/sync');
+const chalk = require('chalk').default;
+const interaction = require('./interaction.js');
+const { createSession, writeFollowLog } = require('./bskyFollow.js');
+
+// Keep the bridged accounts from Mastodon → Bluesky results in a Bluesky list (and, optionally, a
+// starter pack) instead of following them. The list is found again by name on later runs and only
+// the difference is written, so re-running never creates a second list or duplicate entries.
+
+const CURATE_LIST = 'app.bsky.graph.defs#curatelist';
+// Starter packs point at a list of their own, with the reference purpose
+const REFERENCE_LIST = 'app.bsky.graph.defs#referencelist';
+// Bluesky shows at most this many accounts in a starter pack
+const STARTER_PACK_LIMIT = 150;
+// Pause between record writes so large lists don't hammer the PDS
+const WRITE_DELAY_MS = 250;
+
+const DEFAULT_LIST_NAME = 'Bridged Fediverse accounts';
+const DEFAULT_LIST_DESCRIPTION = 'Fediverse accounts I follow on Mastodon that are bridged to Bluesky.';
+
+// Read the bridged rows (followed or not) from a Mastodon → Bluesky results CSV as { handle, did },
+// sorted by handle; unchecked is the number of accounts that couldn't be checked in that run
+function readListCandidates(resultsCsvPath) {
+    const records = parse(fs.readFileSync(resultsCsvPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    const accounts = records
+        .filter(record => record.status.startsWith('Bridged') && record.DID)
+        .map(record => ({ handle: record['Account address'].replace(/^@/, '').toLowerCase(), did: record.DID }))
+        .sort((a, b) => a.handle.localeCompare(b.handle));
+    return { accounts, unchecked: records.filter(record => record.status === 'Could not check').length };
+}
+
+function rkeyOf(uri) {
+    return uri.split('/').pop();
+}
+
+// Every record of a collection in the logged-in user's repo as { uri, value }
+async function listRepoRecords(session, collection) {
+    const records = [];
+    let cursor;
+    do {
+        const url = `${session.service}/xrpc/com.atproto.repo.listRecords?repo=${encodeURIComponent(session.did)}&collection=${collection}&limit=100${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+        const response = await http.get(url, { headers: { Authorization: `Bearer ${session.accessJwt}` } });
+        records.push(...(response.data.records || []));
+        cursor = response.data.cursor;
+    } while (cursor);
+    return records;
+}
+
+function createRecord(session, collection, record) {
+    return http.post(`${session.service}/xrpc/com.atproto.repo.createRecord`, {
+        repo: session.did,
+        collection,
+        record: { $type: collection, ...record, createdAt: new Date().toISOString() }
+    }, {
+        headers: { Authorization: `Bearer ${session.accessJwt}` }
+    }).then(response => response.data.uri);
+}
+
+function deleteRecord(session, uri) {
+    const [, collection, rkey] = uri.replace(/^at:\/\//, '').split('/');
+    return http.post(`${session.service}/xrpc/com.atproto.repo.deleteRecord`, { repo: session.did, collection, rkey }, {
+        headers: { Authorization: `Bearer ${session.accessJwt}` }
+    });
+}
+
+// The user's list with this name and purpose, created when missing (not in a dry run).
+// Returns { uri, created }; uri is null in a dry run for a list that doesn't exist yet.
+async function findOrCreateList(session, { name, description, purpose }, dryRun) {
+    const existing = (await listRepoRecords(session, 'app.bsky.graph.list'))
+        .find(record => record.value.name === name && record.value.purpose === purpose);
+    if (existing) return { uri: existing.uri, created: false };
+    if (dryRun) return { uri: null, created: false };
+    return { uri: await createRecord(session, 'app.bsky.graph.list', { purpose, name, description }), created: true };
+}
+
+// Bring a list's members in line with the accounts: add the missing ones and, unless
+// allowRemovals is false, remove the rest. Returns the log entries.
+async function syncListMembers(session, listUri, accounts, { label, dryRun, allowRemovals }) {
+    const members = new Map();
+    if (listUri) {
+        for (const item of await listRepoRecords(session, 'app.bsky.graph.listitem')) {
+            if (item.value.list === listUri) members.set(item.value.subject, item.uri);
+        }
+    }
+    const wanted = new Set(accounts.map(account => account.did));
+    const toAdd = accounts.filter(account => !members.has(account.did));
+    const toRemove = allowRemovals ? [...members.keys()].filter(did => !wanted.has(did)) : [];
+    console.log(chalk.cyan(`${label}: ${members.size} in the list, ${toAdd.length} to add, ${toRemove.length} to remove.`));
+
+    const entries = [];
+    if (dryRun) {
+        for (const { handle, did } of toAdd) entries.push({ handle, id: did, result: 'dry-run', detail: `${label}: would add` });
+        for (const did of toRemove) entries.push({ handle: did, id: did, result: 'dry-run', detail: `${label}: would remove` });
+        return entries;
+    }
+    for (const { handle, did } of toAdd) {
+        try {
+            await createRecord(session, 'app.bsky.graph.listitem', { subject: did, list: listUri });
+            entries.push({ handle, id: did, result: 'added', detail: label });
+            console.log(chalk.green(`  added     ${handle}`));
+        } catch (err) {
+            entries.push({ handle, id: did, result: 'failed', detail: `${label}: ${http.describeError(err)}` });
+            console.log(chalk.red(`  failed    ${handle}: ${http.describeError(err)}`));
+        }
+        await http.sleep(WRITE_DELAY_MS);
+    }
+    for (const did of toRemove) {
+        try {
+            await deleteRecord(session, members.get(did));
+            entries.push({ handle: did, id: did, result: 'removed', detail: label });
+            console.log(chalk.yellow(`  removed   ${did}`));
+        } catch (err) {
+            entries.push({ handle: did, id: did, result: 'failed', detail: `${label}: ${http.describeError(err)}` });
+            console.log(chalk.red(`  failed    ${did}: ${http.describeError(err)}`));
+        }
+        await http.sleep(WRITE_DELAY_MS);
+    }
+    return entries;
+}
+
+// The starter pack built on a reference list, created when missing (not in a dry run)
+async function findOrCreateStarterPack(session, { name, description, listUri }, dryRun) {
+    const existing = (await listRepoRecords(session, 'app.bsky.graph.starterpack')).find(record => record.value.list === listUri);
+    if (existing || dryRun || !listUri) return existing ? existing.uri : null;
+    return createRecord(session, 'app.bsky.graph.starterpack', { name, description, list: listUri });
+}
+
+// Create or update the list of bridged accounts ({ handle, did }), and the starter pack when asked for.
+// Members are only removed when allowRemovals is set, so accounts that couldn't be checked this time
+// aren't dropped from the list.
+async function syncBridgedList(accounts, { identifier, appPassword, name = DEFAULT_LIST_NAME, description = DEFAULT_LIST_DESCRIPTION, starterPack = false, dryRun = false, allowRemovals = true, logPath } = {}) {
+    let session;
+    try {
+        session = await createSession(identifier, appPassword);
+    } catch (err) {
+        console.error(chalk.red(`Could not log in to Bluesky as ${identifier}: ${http.describeError(err)}`));
+        interaction.markFatal();
+        return null;
+    }
+    console.log(chalk.green(`Logged in to Bluesky as ${session.handle}.`));
+
+    const entries = [];
+    try {
+        const list = await findOrCreateList(session, { name, description, purpose: CURATE_LIST }, dryRun);
+        if (list.created) console.log(chalk.green(`Created the list "${name}".`));
+        entries.push(...await syncListMembers(session, list.uri, accounts, { label: 'List', dryRun, allowRemovals }));
+        if (list.uri) console.log(chalk.bold.cyan(`List: https://bsky.app/profile/${session.handle}/lists/${rkeyOf(list.uri)}`));
+
+        if (starterPack) {
+            if (accounts.length > STARTER_PACK_LIMIT) {
+                console.warn(chalk.yellow(`Starter packs hold up to ${STARTER_PACK_LIMIT} accounts; the first ${STARTER_PACK_LIMIT} by handle are included.`));
+            }
+            const packList = await findOrCreateList(session, { name, description, purpose: REFERENCE_LIST }, dryRun);
+            entries.push(...await syncListMembers(session, packList.uri, accounts.slice(0, STARTER_PACK_LIMIT), { label: 'Starter pack', dryRun, allowRemovals }));
+            const packUri = await findOrCreateStarterPack(session, { name, description, listUri: packList.uri }, dryRun);
+            if (packUri) console.log(chalk.bold.cyan(`Starter pack: https://bsky.app/starter-pack/${session.handle}/${rkeyOf(packUri)}`));
+        }
+    } catch (err) {
+        // Reading the current list failed, so the difference can't be worked out
+        console.error(chalk.red(`Could not update the list: ${http.describeError(err)}`));
+        interaction.markFatal();
+    }
+
+    writeFollowLog(entries, logPath, 'DID', 'List changes');
+    if (dryRun) console.log(chalk.yellow('Dry run: the list was not changed.'));
+    const count = result => entries.filter(entry => entry.result === result).length;
+    console.log(chalk.bold.cyan(`\nAdded ${count('added')}, removed ${count('removed')}, ${count('failed')} failed.`));
+    if (count('failed') > 0) interaction.markPartialFailure();
+    return entries;
+}
+
+module.exports = {
+    DEFAULT_LIST_NAME,
+    DEFAULT_LIST_DESCRIPTION,
+    STARTER_PACK_LIMIT,
+    readListCandidates,
+    syncBridgedList
+};
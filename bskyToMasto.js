@@ -1,398 +1,293 @@
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-const readlineSync = require('readline-sync');
+const http = require('./httpClient.js');
 const { parse } = require('csv-parse/sync');
-const _open = require('open');
 const chalk = require('chalk').default;
-const open = _open.default || _open;
-
-const csvFilePath = 'AccountHandles.csv'; // <-- Add this line
+const lookupCache = require('./lookupCache.js');
+const checkpoint = require('./checkpoint.js');
+const interaction = require('./interaction.js');
+const { resolveUnbridgedOptions, writeUnbridgedCsv, unbridgedHtmlSection } = require('./unbridgedExport.js');
+const bridgeProviders = require('./bridgeProviders.js');
+const { nativeHtmlSection } = require('./nativeAccounts.js');
+const jsonOutput = require('./jsonOutput.js');
+const radar = require('./radar.js');
+const { drawProgressBar, bridgeFollowsProgress } = require('./cliProgress.js');
+const runOutputs = require('./runOutputs.js');
+const { reportChanges, changesHtmlSection } = require('./runHistory.js');
+const { escapeHtml, linkHtml, copyButton, resultsTable, reportPage } = require('./reportHtml.js');
+const { coverageStats, showBridgedPercentage } = require('./coverage.js');
+const { DIAGNOSES } = require('./reachability.js');
+const { parseProfileArgs, profileCsvFields, profileColumns, isInactive, compareActivity } = require('./profileMetadata.js');
 
 // Append a single record to the CSV file (add a status column)
-function appendToCSV(handle, link, status = '') {
-    const row = `"${handle}","${link}","${status}"\n`;
-    fs.appendFileSync(csvFilePath, row, 'utf8');
+function appendToCSV(csvFilePath, handle, link, status = '', did = '', bridge = '', diagnosis = null, profile = null) {
+    const fields = [handle, link, status, did, bridge, diagnosis ? diagnosis.detail : '', diagnosis ? diagnosis.action : '', diagnosis ? diagnosis.code : '', ...Object.values(profileCsvFields(profile))];
+    fs.appendFileSync(csvFilePath, fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',') + '\n', 'utf8');
 }
 
 // Initialize the CSV file with headers (overwrites at start)
-function initializeCSV() {
-    const headers = 'Handle,Link,Status\n';
+function initializeCSV(csvFilePath) {
+    const headers = `Handle,Link,Status,DID,Bridge,Diagnosis,Suggested action,Diagnosis code,${Object.keys(profileCsvFields(null)).join(',')}\n`;
     fs.writeFileSync(csvFilePath, headers, 'utf8');
 }
 
-// Add this helper function to check if the account is actually bridging
-async function checkBridgyFedProfileExists(bskyHandle) {
-    // Remove leading @ if present
-    const handle = bskyHandle.replace(/^@/, '');
-    const url = `https://fed.brid.gy/bsky/${handle}`;
-    try {
-        const response = await axios.get(url, { validateStatus: () => true });
-        return response.status === 200;
-    } catch (err) {
-        return false;
+// Diagnoses that leave an account unreachable from your instance whatever you do there
+const UNREACHABLE_DIAGNOSES = ['instance_blocks_bridge', 'opted_out'];
+
+// How the console summary describes each diagnosis (see reachability.js)
+const DIAGNOSIS_LABELS = {
+    instance_blocks_bridge: 'blocked by your instance',
+    opted_out: 'opted out of the bridge',
+    lookup_failed: 'could not be looked up (run again to retry)',
+    handle_not_verified: 'have no verified handle (search for their actor URL)',
+    not_known_to_instance: 'not known to your instance yet (search for them to fetch them)',
+    instance_limits_bridge: 'limited by your instance'
+};
+
+// Write bridged, not-yet-followed accounts in Mastodon's following-list import format.
+// Accounts without a verified handle have no address the import could resolve, and accounts your
+// instance blocks can't be followed from it, so they're left out.
+function writeMastodonImportCsv(rows, importPath) {
+    const lines = ['Account address,Show boosts,Notify on new posts,Languages'];
+    const seen = new Set();
+    for (const row of rows) {
+        if (row.verified === false || row.reachable === false) continue;
+        const address = row.address.replace(/^@/, '');
+        if (seen.has(address.toLowerCase())) continue;
+        seen.add(address.toLowerCase());
+        lines.push(`${address},true,false,`);
     }
+    fs.writeFileSync(importPath, lines.join('\n') + '\n', 'utf8');
+    console.log(chalk.green(`Mastodon import file saved as ${importPath} (${seen.size} accounts). Upload it in Preferences → Import and export → Import as "Following list".`));
 }
 
-// Write results to a styled HTML file
-async function writeResultsToHtml(outputInstance = 'mastodon.social', existingCsvPath = null) {
-    // Read already-followed handles from the existing CSV, if provided
-    let alreadyFollowedHandles = new Set();
-    let alreadyFollowedRows = [];
-    if (existingCsvPath && fs.existsSync(existingCsvPath)) {
-        try {
-            const fileContent = fs.readFileSync(existingCsvPath, 'utf8');
-            const records = parse(fileContent, {
-                columns: true,
-                skip_empty_lines: true
-            });
-            alreadyFollowedHandles = new Set(
-                records
-                    .map(record => {
-                        const address = record['Account address'];
-                        // Only count bsky.brid.gy accounts
-                        if (address && address.endsWith('@bsky.brid.gy')) {
-                            // Add both with and without leading @ for robust comparison
-                            return [address.toLowerCase(), `@${address.toLowerCase()}`];
-                        }
-                        return [];
-                    })
-                    .flat()
-                    .filter(Boolean)
-            );
-            // Prepare already-followed rows for the HTML
-            alreadyFollowedRows = records
-                .filter(record => record['Account address'] && record['Account address'].endsWith('@bsky.brid.gy'))
-                .map(record => {
-                    const address = record['Account address'];
-                    const handle = `@${address}`;
-                    const link = `https://${outputInstance}/@${address}`;
-                    return {
-                        handle,
-                        address,
-                        link,
-                        status: 'Bridged, already followed',
-                        statusClass: 'status-red',
-                        searchLink: ''
-                    };
-                });
-        } catch (e) {
-            console.error(chalk.red('Error reading Mastodon CSV for already-followed accounts:'), e.message);
-        }
-    }
-
-    try {
-        const fileContent = fs.readFileSync(csvFilePath, 'utf8');
-        const lines = fileContent.trim().split('\n');
-        // Only include rows where status starts with "Bridged" AND not in already-followed
-        let rows = lines.slice(1).map(line => {
-            const match = line.match(/"([^"]*)","([^"]*)","([^"]*)"/);
-            if (match) {
-                let [ , handle, link, status ] = match;
-                let address = handle.replace(/^@/, '');
-
-                // REMOVE: special handling for invalid handles
-                // If the handle is invalid, just skip it by returning null
-                if (handle.toLowerCase().includes('handle.invalid')) {
-                    return null;
-                }
-
-                address = handle.replace(/^@/, '');
-                link = `https://${outputInstance}/@${address}`;
-                return { handle, address, link, status };
-            }
-            return null;
-        }).filter(row =>
-            row &&
-            (row.status && row.status.toLowerCase().startsWith('bridged')) &&
-            !alreadyFollowedHandles.has(row.address.toLowerCase()) &&
-            !alreadyFollowedHandles.has(row.handle.toLowerCase())
-        );
-
-        // Filter out unfollowed accounts that are not actually bridging
-        let filteredRows = [];
-        for (let row of rows) {
-            if (row.status === 'Invalid handle') {
-                filteredRows.push(row);
-                continue;
-            }
-            // Only check for not-yet-followed accounts (not already followed, not invalid)
-            if (row.status && row.status.toLowerCase().startsWith('bridged')) {
-                // Check if the profile exists on the instance (skip invalid handles)
-                const exists = await checkProfileExistsOnInstance(outputInstance, row.address);
-                if (exists) {
-                    row.status = `Bridged, exists on instance`;
-                    row.statusClass = 'status-green';
-                    row.existsOnInstance = true;
-                    row.searchLink = '';
-                } else {
-                    row.status = `Bridged, doesn't exist on instance`;
-                    row.statusClass = 'status-orange';
-                    row.existsOnInstance = false;
-                    const encoded = encodeURIComponent(`@${row.address}`);
-                    row.searchLink = `https://${outputInstance}/search?q=${encoded}`;
-                }
-
-                // If not already followed and not invalid, check if actually bridging
-                if (!row.existsOnInstance && row.statusClass !== 'status-purple') {
-                    const isBridging = await checkBridgyFedProfileExists(row.handle);
-                    if (!isBridging) {
-                        // Skip this row, do not include in HTML
-                        continue;
-                    }
-                }
-            }
-            filteredRows.push(row);
-        }
-        rows = filteredRows;
-
-        // Sort: accounts that exist on the instance first, then invalid handles at the end
-        rows.sort((a, b) => {
-            if (a.status === 'Invalid handle' && b.status !== 'Invalid handle') return 1;
-            if (b.status === 'Invalid handle' && a.status !== 'Invalid handle') return -1;
-            if (a.existsOnInstance === b.existsOnInstance) return 0;
-            return a.existsOnInstance ? -1 : 1;
-        });
+// Search link for a bridged account by its actor URL, which works without a handle
+function actorSearchLink(instance, actorUrl) {
+    return `https://${instance}/search?q=${encodeURIComponent(actorUrl)}`;
+}
 
-        // Combine: bridged rows first, then already-followed rows
-        const allRows = [...rows, ...alreadyFollowedRows];
-
-        const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>Fediverse Radar: Bluesky → Mastodon Results</title>
-  <style>
-    body { font-family: system-ui, sans-serif; background: #f9f9fb; color: #222; margin: 0; padding: 2em; }
-    h1 { color: #2b6cb0; }
-    table { border-collapse: collapse; width: 100%; background: #fff; box-shadow: 0 2px 8px #0001; }
-    th, td { border: 1px solid #e2e8f0; padding: 10px 8px; }
-    th { background: #edf2fa; }
-    tr:nth-child(even) { background: #f7fafc; }
-    a { color: #3182ce; text-decoration: none; }
-    a:hover { text-decoration: underline; }
-    .count { margin-bottom: 1em; color: #555; }
-    .status-green { color: #228B22; font-weight: bold; }
-    .status-orange { color: #FF8C00; font-weight: bold; }
-    .status-red { color: #C00; font-weight: bold; }
-    .status-purple { color: #800080; font-weight: bold; }
-  </style>
-</head>
-<body>
-  <h1>Fediverse Radar: Bluesky → Mastodon Results</h1>
-  <div class="count">${allRows.length} account${allRows.length === 1 ? '' : 's'} listed (${rows.length} newly bridged, ${alreadyFollowedRows.length} already followed)</div>
-  <table>
-    <tr>
-      <th>Handle</th>
-      <th>Link</th>
-      <th>Status</th>
-      <th>Search Link</th>
-    </tr>
-    ${allRows.map(row => `
-      <tr>
-        <td>${row.handle}</td>
-        <td>${row.link === 'N/A' ? 'N/A' : `<a href="${row.link}" target="_blank">${row.link}</a>`}</td>
-        <td class="${row.statusClass || ''}">${row.status}</td>
-        <td>${row.searchLink ? `<a href="${row.searchLink}" target="_blank">Search link</a>` : ''}</td>
-      </tr>
-    `).join('')}
-  </table>
-</body>
-</html>
-        `.trim();
-
-        fs.writeFileSync('output.html', html, 'utf8');
-        console.log(chalk.green(`HTML report saved as output.html (${allRows.length} total entries: ${rows.length} newly bridged, ${alreadyFollowedRows.length} already followed).`));
-    } catch (err) {
-        console.error(chalk.red('Error writing output.html:'), err.message);
+// Write one followed account to the accounts CSV. Accounts without a bridged copy are listed under the
+// address their bridge (or the first provider) would give them.
+function appendRecordToCSV(csvFilePath, record, outputInstance) {
+    const { source, target, checks } = record;
+    if (record.status === 'native_account') {
+        // A native account takes the place of the bridged copy
+        appendToCSV(csvFilePath, `@${target.address}`, target.profileUrl, 'Native account on the other network', source.did, '', null, record.profile);
+        return;
+    }
+    const provider = record.bridge ? bridgeProviders.get(record.bridge) : bridgeProviders.fediverseProviders()[0];
+    const address = target ? `@${target.address}` : `@${provider ? provider.fediverseAddress(source.address) : source.address}`;
+    // Accounts the bridge lists but its profile check turned down are not bridged
+    const listed = record.status === 'bridged';
+    const status = listed ? `Bridged (via ${bridgeProviders.bridgeName(record.bridge)})` : (record.status === 'could_not_check' ? 'Could not check' : 'Not bridged');
+    if (checks.handleVerified) {
+        appendToCSV(csvFilePath, address, `https://${outputInstance}/${address}`, status, source.did, listed ? record.bridge : '', record.diagnosis, record.profile);
+    } else {
+        // Without a verified handle the bridged account can only be found through its actor URL
+        const link = target && target.profileUrl ? actorSearchLink(outputInstance, target.profileUrl) : `https://bsky.app/profile/${source.did}`;
+        appendToCSV(csvFilePath, source.address.startsWith('did:') ? source.address : address, link, `${status}, handle not verified`, source.did, listed ? record.bridge : '', record.diagnosis, record.profile);
     }
 }
 
-// Calculate and display the percentage of bridged accounts found, including already-followed
-function showBridgedPercentage(bskyHandlesPath, csvFilePath, mastoCsvPath = null) {
-    try {
-        const bskyHandles = readHandlesFromFile(bskyHandlesPath);
-        const bskySet = new Set(bskyHandles.map(h => h.trim().toLowerCase()));
-
-        // Handles found in this run
-        const csvContent = fs.readFileSync(csvFilePath, 'utf8');
-        const bridgedHandles = csvContent
-            .trim()
-            .split('\n')
-            .slice(1) // skip header
-            .map(line => {
-                const match = line.match(/"@([^@]+)@bsky\.brid\.gy"/);
-                return match ? match[1].toLowerCase() : null;
-            })
-            .filter(Boolean);
-
-        // Handles already followed in Mastodon CSV (if provided)
-        let alreadyFollowedHandles = [];
-        if (mastoCsvPath) {
-            try {
-                const fileContent = fs.readFileSync(mastoCsvPath, 'utf8');
-                const records = parse(fileContent, {
-                    columns: true,
-                    skip_empty_lines: true
-                });
-                alreadyFollowedHandles = records
-                    .map(record => {
-                        const address = record['Account address'];
-                        // Only count bsky.brid.gy accounts
-                        if (address && address.endsWith('@bsky.brid.gy')) {
-                            return address.split('@')[0].replace(/^@/, '').toLowerCase();
-                        }
-                        return null;
-                    })
-                    .filter(Boolean);
-            } catch (e) {
-                console.error(chalk.red('Error reading Mastodon CSV for already-followed accounts:'), e.message);
-            }
+// HTML row for a bridged account you don't follow yet, from the instance and bridge checks in its record
+function bridgedRow(record, outputInstance) {
+    const { source, target, checks } = record;
+    const row = { address: target.address, did: target.did, blueskyHandle: checks.handleVerified ? source.address : source.did, bridge: record.bridge, verified: checks.handleVerified, checkFailed: false };
+    if (!checks.handleVerified) {
+        // No verified handle to look up on the instance; link a search for the actor URL instead
+        row.handle = source.address.startsWith('did:') ? source.address : `@${target.address}`;
+        row.status = 'Bridged, handle not verified';
+        row.statusClass = 'status-purple';
+        row.existsOnInstance = false;
+        row.link = 'N/A';
+        row.searchLink = target.profileUrl ? actorSearchLink(outputInstance, target.profileUrl) : '';
+    } else {
+        row.handle = `@${target.address}`;
+        row.link = target.profileUrl;
+        row.existsOnInstance = checks.existsOnInstance === http.FOUND;
+        row.searchLink = row.existsOnInstance ? '' : `https://${outputInstance}/search?q=${encodeURIComponent(`@${target.address}`)}`;
+        if (checks.existsOnInstance === http.FOUND) {
+            row.status = 'Bridged, exists on instance';
+            row.statusClass = 'status-green';
+        } else if (checks.existsOnInstance === http.NOT_FOUND) {
+            row.status = `Bridged, doesn't exist on instance`;
+            row.statusClass = 'status-orange';
+        } else {
+            row.status = `Bridged, couldn't check instance`;
+            row.statusClass = 'status-orange';
+            row.checkFailed = true;
         }
-
-        // Union of found + already-followed, but only those in bskyHandles
-        const bridgedSet = new Set([...bridgedHandles, ...alreadyFollowedHandles].filter(h => bskySet.has(h)));
-        const bridgedCount = bridgedSet.size;
-        const total = bskyHandles.length;
-        const percent = total > 0 ? ((bridgedCount / total) * 100).toFixed(2) : '0.00';
-
-        console.log(chalk.bold.cyan(
-            `\n${bridgedCount} of ${total} BlueSky follows are now available to your Mastodon account (including already-followed). (${percent}%)`
-        ));
-    } catch (err) {
-        console.error(chalk.red('Error calculating bridged percentage:'), err.message);
     }
+    if (checks.bridgeConfirmed === http.UNKNOWN) {
+        // Kept: a failed check must not drop the account from the report
+        row.status += ' (bridge check failed)';
+        row.checkFailed = true;
+    }
+    row.diagnosis = record.diagnosis;
+    row.reachable = !(record.diagnosis && UNREACHABLE_DIAGNOSES.includes(record.diagnosis.code));
+    row.profile = record.profile;
+    return row;
 }
 
-// Fetch followers of a BSKY account using the public API
-async function fetchFollowersHandles(actorHandleOrDid, maxEntries = null) {
-    let cursor = undefined;
-    let handles = [];
-    let totalFetched = 0;
-    while (true) {
-        const url = `https://public.api.bsky.app/xrpc/app.bsky.graph.getFollowers?actor=${encodeURIComponent(actorHandleOrDid)}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}&limit=100`;
-        try {
-            const response = await axios.get(url);
-            if (response.data && Array.isArray(response.data.followers)) {
-                for (const follower of response.data.followers) {
-                    if (follower.handle) handles.push(follower.handle);
-                    totalFetched++;
-                    if (maxEntries && totalFetched >= maxEntries) break;
-                }
-                if (maxEntries && totalFetched >= maxEntries) break;
-                if (response.data.cursor) {
-                    cursor = response.data.cursor;
-                } else {
-                    break;
-                }
-            } else {
-                break;
-            }
-        } catch (err) {
-            console.error(chalk.red(`Error fetching followers for ${actorHandleOrDid}: ${err.message}`));
-            break;
-        }
-    }
-    return handles;
+// HTML row for an account the bridge follows but whose profile check says it isn't bridged; there is
+// no bridged copy to link, so the row links the Bluesky profile
+function declinedRow(record) {
+    const { source, checks } = record;
+    const provider = bridgeProviders.get(record.bridge);
+    const address = provider ? provider.fediverseAddress(source.address) : source.address;
+    return {
+        handle: checks.handleVerified ? `@${address}` : source.address,
+        address,
+        did: source.did,
+        blueskyHandle: source.address,
+        bridge: record.bridge,
+        verified: checks.handleVerified,
+        reachable: false,
+        link: source.profileUrl,
+        status: 'Listed by the bridge, not bridged',
+        statusClass: 'status-orange',
+        searchLink: '',
+        diagnosis: record.diagnosis
+    };
 }
 
-// Fetch the list of accounts a user is following (their "follows") using the public API
-async function fetchUserFollowsHandles(userHandle, maxEntries = null) {
-    let cursor = undefined;
-    let handles = [];
-    let totalFetched = 0;
-    while (true) {
-        const url = `https://public.api.bsky.app/xrpc/app.bsky.graph.getFollows?actor=${encodeURIComponent(userHandle)}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}&limit=100`;
-        try {
-            const response = await axios.get(url);
-            if (response.data && Array.isArray(response.data.follows)) {
-                for (const follow of response.data.follows) {
-                    if (follow.handle) handles.push(follow.handle);
-                    totalFetched++;
-                    if (maxEntries && totalFetched >= maxEntries) break;
-                }
-                if (maxEntries && totalFetched >= maxEntries) break;
-                if (response.data.cursor) {
-                    cursor = response.data.cursor;
-                } else {
-                    break;
-                }
-            } else {
-                break;
-            }
-        } catch (err) {
-            console.error(chalk.red(`Error fetching follows for ${userHandle}: ${err.message}`));
-            break;
-        }
-    }
-    return handles;
+// Bridged or native accounts you don't follow yet that haven't posted for more than inactiveDays
+function isDormantSuggestion(record, inactiveDays) {
+    return (record.status === 'bridged' || record.status === 'native_account') && record.checks.followed !== true
+        && isInactive(record.profile, inactiveDays);
 }
 
-// Check if a profile exists on a given instance
-async function checkProfileExistsOnInstance(instance, address) {
-    try {
-        // Use the Mastodon API to check for account existence
-        const url = `https://${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(address)}`;
-        const response = await axios.get(url, { validateStatus: () => true });
-        return response.status === 200;
-    } catch (err) {
-        return false;
+// Count the diagnoses of the accounts you can't simply follow yet, one line per diagnosis
+function showDiagnoses(records) {
+    const counts = new Map();
+    for (const record of records) {
+        if (record.diagnosis) counts.set(record.diagnosis.code, (counts.get(record.diagnosis.code) || 0) + 1);
+    }
+    if (counts.size === 0) return;
+    console.log(chalk.cyan('Bridged accounts you can\'t simply follow yet (see the Diagnosis column in the report):'));
+    for (const code of DIAGNOSES) {
+        if (counts.has(code)) console.log(chalk.cyan(`  ${counts.get(code)} ${DIAGNOSIS_LABELS[code]}`));
     }
 }
 
-// Fetch accounts followed by the bridge account (ap.brid.gy)
-async function fetchBridgeFollowingHandles(bridgeHandle = 'ap.brid.gy') {
-    let cursor = undefined;
-    let handles = [];
-    let totalFetched = 0;
+// Write results to an interactive HTML report: the changes since the last run, bridged accounts you don't follow
+// yet, then the bridged accounts you already follow on Mastodon, with native and unbridged accounts in
+// their own sections. showProfiles adds the profile columns; sortByActivity lists the most recently
+// active accounts first.
+// Returns the rows of bridged accounts you don't follow yet.
+function writeResultsToHtml(outputInstance, result, htmlPath, { unbridgedRows = [], nativeRows = [], includeMessages = false, history = null, showProfiles = false, sortByActivity = false } = {}) {
+    try {
+        const rows = result.records
+            .filter(record => record.status === 'bridged' && record.checks.followed !== true)
+            .map(record => bridgedRow(record, outputInstance));
 
-    // Print the static status line (in blue)
-    process.stdout.write(chalk.cyan('Gathering bridge follows...\n'));
-    // Print the dynamic count line (start with 0, in blue)
-    process.stdout.write(chalk.cyan(`Bridge follows gathered: 0`));
-    let lastLength = `Bridge follows gathered: 0`.length;
+        // Sort: accounts that exist on the instance first, then accounts without a verified handle, then
+        // accounts that can't be reached from the instance at the end. By activity, reachable accounts
+        // still come first.
+        rows.sort((a, b) => {
+            if (a.reachable !== b.reachable) return a.reachable ? -1 : 1;
+            if (sortByActivity) return compareActivity(a.profile, b.profile);
+            if (a.verified !== b.verified) return a.verified ? -1 : 1;
+            if (a.existsOnInstance === b.existsOnInstance) return 0;
+            return a.existsOnInstance ? -1 : 1;
+        });
 
-    while (true) {
-        const url = `https://public.api.bsky.app/xrpc/app.bsky.graph.getFollows?actor=${encodeURIComponent(bridgeHandle)}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}&limit=100`;
-        try {
-            const response = await axios.get(url);
-            if (response.data && Array.isArray(response.data.follows)) {
-                for (const follow of response.data.follows) {
-                    handles.push(follow.handle);
-                    totalFetched++;
-                    // Overwrite the count line in blue
-                    const countStr = `Bridge follows gathered: ${totalFetched}`;
-                    process.stdout.write(`\r${chalk.cyan(countStr)}${' '.repeat(Math.max(0, lastLength - countStr.length))}`);
-                    lastLength = countStr.length;
-                }
-                if (response.data.cursor) {
-                    cursor = response.data.cursor;
-                } else {
-                    break;
-                }
-            } else {
-                break;
-            }
-        } catch (err) {
-            process.stdout.write('\n');
-            console.error(chalk.red(`Error fetching follows for ${bridgeHandle}: ${err.message}`));
-            break;
-        }
+        // Already-followed rows, flagging accounts that changed handle since they were followed
+        const handleByDid = new Map(result.records.map(record => [record.source.did, record.source.address]));
+        const profileByDid = new Map(result.records.map(record => [record.source.did, record.profile]));
+        const alreadyFollowedRows = result.followedOnMastodon.map(followed => {
+            const address = followed.currentAddress || followed.address;
+            return {
+                handle: `@${followed.address}`,
+                address,
+                did: followed.did || '',
+                blueskyHandle: (followed.did && handleByDid.get(followed.did)) || '',
+                bridge: followed.bridge,
+                link: `https://${outputInstance}/@${address}`,
+                status: followed.currentAddress ? `Bridged, already followed (handle changed to @${followed.currentAddress})` : 'Bridged, already followed',
+                statusClass: 'status-red',
+                searchLink: '',
+                profile: (followed.did && profileByDid.get(followed.did)) || null
+            };
+        });
+        const followedAddresses = new Set(result.followedOnMastodon.map(followed => followed.address));
+
+        // Accounts the bridge turned down, with the diagnosis saying why
+        const declinedRows = result.records
+            .filter(record => record.status === 'not_bridged' && record.checks.bridged === http.FOUND && record.checks.followed !== true)
+            .map(declinedRow);
+
+        // Combine: bridged rows first, then already-followed rows, then the ones the bridge turned down
+        const allRows = [...rows, ...alreadyFollowedRows, ...declinedRows];
+
+        const body = `
+  ${changesHtmlSection(history)}
+  <div class="count">${allRows.length} account${allRows.length === 1 ? '' : 's'} listed (${rows.length} newly bridged, ${alreadyFollowedRows.length} already followed${declinedRows.length > 0 ? `, ${declinedRows.length} turned down by the bridge` : ''})</div>
+  ${resultsTable({
+    exportName: path.basename(htmlPath, '-report.html'),
+    filters: {
+        'status-green': 'Exists on instance',
+        'status-orange': 'Not reachable yet',
+        'status-purple': 'Handle not verified',
+        'status-red': 'Already followed'
+    },
+    columns: [
+        { label: 'Handle', cell: row => `<span title="${escapeHtml(row.did || '')}">${escapeHtml(row.handle)}</span>${row.verified === false ? '' : copyButton(row.address)}` },
+        { label: 'Link', cell: row => (row.link === 'N/A' ? 'N/A' : linkHtml(row.link)) },
+        { label: 'Status', className: row => row.statusClass || '', cell: row => escapeHtml(row.status) },
+        { label: 'Bridge', cell: row => escapeHtml(bridgeProviders.bridgeName(row.bridge)) },
+        { label: 'Bluesky account', cell: row => escapeHtml(row.blueskyHandle) },
+        ...(showProfiles ? profileColumns(row => row.profile) : []),
+        { label: 'Search Link', sortable: false, cell: row => (row.searchLink ? linkHtml(row.searchLink, 'Search link') : '') },
+        { label: 'Diagnosis', cell: row => (row.diagnosis ? escapeHtml(row.diagnosis.detail) : '') },
+        { label: 'Suggested action', sortable: false, cell: row => (row.diagnosis ? escapeHtml(row.diagnosis.action) : '') }
+    ],
+    rows: allRows.map(row => ({
+        ...row,
+        // Accounts without a verified handle have no address an import could resolve, and accounts
+        // the instance can't reach can't be followed from it
+        mastodonAddress: row.verified === false || row.reachable === false ? '' : row.address.replace(/^@/, '')
+    }))
+  })}
+  ${nativeHtmlSection(nativeRows.map(row => ({ ...row, followed: followedAddresses.has(row.address.toLowerCase()) })), 'bskyToMasto')}
+  ${unbridgedHtmlSection(unbridgedRows, 'bskyToMasto', includeMessages)}`;
+        const html = reportPage('Fediverse Radar: Bluesky → Mastodon Results', body);
+
+        fs.writeFileSync(htmlPath, html, 'utf8');
+        console.log(chalk.green(`HTML report saved as ${htmlPath} (${allRows.length} total entries: ${rows.length} newly bridged, ${alreadyFollowedRows.length} already followed${declinedRows.length > 0 ? `, ${declinedRows.length} turned down by the bridge` : ''}).`));
+        return rows;
+    } catch (err) {
+        console.error(chalk.red(`Error writing ${htmlPath}:`), err.message);
+        interaction.markFatal();
+        return [];
     }
-    // When done, overwrite the count line in green and move to next line
-    const doneStr = `Bridge follows gathered: ${totalFetched}`;
-    process.stdout.write(`\r${chalk.green(doneStr)}${' '.repeat(Math.max(0, lastLength - doneStr.length))}\n`);
-    return new Set(handles.map(h => h.toLowerCase()));
 }
 
+// Main entry point for the conversion process: the CLI around radar.findBridgedFromBluesky.
+// Returns the run's outputs (see runOutputs.js), or undefined if it stopped before writing any.
 async function main(args = process.argv.slice(2)) {
-    // Parse args, fetch follows, check bridge, write CSV/HTML, etc.
     const handleOrDid = args[0];
     if (!handleOrDid) {
         console.error(chalk.red('No Bluesky handle or DID provided.'));
-        process.exit(1);
+        interaction.markFatal();
+        return;
     }
+    lookupCache.configure(args);
+    http.configure(args);
+    interaction.configure(args);
+    let profileOptions;
+    try {
+        bridgeProviders.configure(args);
+        jsonOutput.parseFormatArgs(args);
+        profileOptions = parseProfileArgs(args);
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        return;
+    }
+    // Every file of this run is named after it and listed in its manifest
+    const outputs = runOutputs.start('bskyToMasto', args);
+    const writer = jsonOutput.createWriter(args, 'bskyToMasto', outputs);
 
     // Detect -c flag and get CSV path if present
     let existingCsvPath = null;
@@ -408,69 +303,165 @@ async function main(args = process.argv.slice(2)) {
         outputInstance = args[instanceIndex + 1];
     }
 
-    // Prompt for Mastodon instance only if not provided
+    // Prompt for Mastodon instance only if not provided (headless runs use the default)
     const defaultInstance = 'mastodon.social';
     if (!outputInstance) {
-        outputInstance = readlineSync.question(
-            chalk.bold(`Enter your Mastodon instance for profile links [${defaultInstance}]: `)
-        ).trim() || defaultInstance;
+        outputInstance = interaction.ask(`Enter your Mastodon instance for profile links [${defaultInstance}]: `, defaultInstance);
     }
 
-    // Fetch follows using your API helper
-    process.stdout.write(chalk.cyan('Fetching your follows...'));
-    const handles = await fetchUserFollowsHandles(handleOrDid);
-    // Overwrite the previous line with the green completed status
-    process.stdout.write(`\r${chalk.green('Fetching your follows... Done!')}\n`);
-
-    initializeCSV();
-    const bridgeFollowingSet = await fetchBridgeFollowingHandles('ap.brid.gy');
-
-    // Loading bar for checking handles
-    const total = handles.length;
-    let loadingBarComplete = false;
-    for (let i = 0; i < handles.length; i++) {
-        const handle = handles[i];
-        const fullHandle = `@${handle}@bsky.brid.gy`;
-        const link = `https://${outputInstance}/@${handle}@bsky.brid.gy`;
-        const isBridged = bridgeFollowingSet.has(handle.toLowerCase());
-        const status = isBridged ? 'Bridged (via ap.brid.gy)' : 'Not bridged';
-
-        appendToCSV(fullHandle, link, status);
-
-        // Loading bar only (no per-handle output)
-        const checked = i + 1;
-        const barLength = 40;
-        const percent = checked / total;
-        const filled = Math.round(barLength * percent);
-        const bar = chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(barLength - filled));
-        const lineWidth = 60;
-        const handleLine = `Checked ${checked}/${total}`;
-        const paddedHandleLine = handleLine.padEnd(lineWidth, ' ');
-        // If complete, print in green and do not overwrite
-        if (checked === total) {
-            process.stdout.write(`\r${chalk.green(paddedHandleLine)}\n${chalk.green(`[${'█'.repeat(barLength)}] 100.0%`)}\n`);
-            loadingBarComplete = true;
-        } else {
-            process.stdout.write(`\r${chalk.cyan(paddedHandleLine)}\n[${bar}] ${(percent * 100).toFixed(1)}%`);
-            process.stdout.write('\x1b[1A');
+    // Read already-followed accounts from the existing Mastodon CSV, if provided
+    let followedAddresses = null;
+    if (existingCsvPath && fs.existsSync(existingCsvPath)) {
+        try {
+            const records = parse(fs.readFileSync(existingCsvPath, 'utf8'), {
+                columns: true,
+                skip_empty_lines: true
+            });
+            followedAddresses = records.map(record => record['Account address'] || '').filter(Boolean);
+        } catch (e) {
+            console.error(chalk.red('Error reading Mastodon CSV for already-followed accounts:'), e.message);
         }
     }
-    if (!loadingBarComplete) process.stdout.write('\n'); // Move to next line after loop if not already done
 
-    // Pass the CSV path to the HTML writer!
-    await writeResultsToHtml(outputInstance, existingCsvPath);
-    console.log(chalk.green('\nDone!'));
+    // Follows can come from a repo export (--repo FILE) instead of the Bluesky API
+    const repoIndex = args.indexOf('--repo');
+    const repo = repoIndex !== -1 ? args[repoIndex + 1] : null;
+    if (repoIndex !== -1 && (!repo || !fs.existsSync(repo))) {
+        console.error(chalk.red(`Repo export not found: ${repo || '(no file given after --repo)'}`));
+        interaction.markFatal();
+        if (writer) writer.close();
+        outputs.finish();
+        return outputs;
+    }
 
-    // Prompt to open the HTML file
-    const htmlPath = path.resolve('output.html');
-    if (readlineSync.keyInYNStrict(chalk.yellow('Open the HTML report (output.html) in your browser?'))) {
-        try {
-            await open(htmlPath);
-            console.log(chalk.green('HTML report opened in your default browser.'));
-        } catch (err) {
-            console.warn(chalk.red('Could not open output.html:'), err.message);
-        }
+    // Checkpoint progress so an interrupted run can be resumed with --resume
+    const run = checkpoint.start('bskyToMasto', args, { resume: args.includes('--resume') });
+
+    const showBridgeFollows = bridgeFollowsProgress();
+    const followsLabel = repo ? 'Reading your follows from the repo export...' : 'Fetching your follows...';
+    let profilesShown = false;
+    let result;
+    try {
+        result = await radar.findBridgedFromBluesky({
+            actor: handleOrDid,
+            instance: outputInstance,
+            followedAddresses,
+            repo,
+            // Optional cross-reference pass for people who also run their own Fediverse account
+            crossReference: args.includes('--cross-reference'),
+            // Display names, counts and last post dates of the accounts found (skipped with --no-profiles)
+            profiles: profileOptions.profiles,
+            run,
+            onResult: record => writer && writer.write(record),
+            onWarning: message => console.warn(chalk.yellow(message)),
+            onProgress: (event) => {
+                if (event.stage === 'follows' && event.from === 'checkpoint') {
+                    console.log(chalk.green(`Loaded ${event.done} follows from the checkpoint.`));
+                } else if (event.stage === 'follows' && event.done === 0 && event.total === null) {
+                    process.stdout.write(chalk.cyan(followsLabel));
+                } else if (event.stage === 'follows' && event.total !== null) {
+                    // Overwrite the previous line with the green completed status
+                    process.stdout.write(`\r${chalk.green(`${followsLabel} Done!`)}\n`);
+                } else if (event.stage === 'bridgeFollows') {
+                    showBridgeFollows(event);
+                } else if (event.stage === 'crossReference' && event.from === 'checkpoint') {
+                    console.log(chalk.green(`Loaded ${event.found} native Fediverse accounts from the checkpoint.`));
+                } else if (event.stage === 'crossReference' && event.done === 0) {
+                    console.log(chalk.cyan('Looking for native Fediverse accounts in your follows\' profiles...'));
+                } else if (event.stage === 'crossReference') {
+                    console.log(chalk.green(`Found ${event.found} native Fediverse account${event.found === 1 ? '' : 's'}.`));
+                } else if (event.stage === 'accounts' && event.done > 0) {
+                    // Loading bar only (no per-handle output)
+                    drawProgressBar(event.done, event.total);
+                } else if (event.stage === 'instance' && event.done === 0 && event.total > 0) {
+                    console.log(chalk.cyan(`Looking up ${event.total} bridged account${event.total === 1 ? '' : 's'} on ${outputInstance}...`));
+                } else if (event.stage === 'profiles' && event.done < event.total && !profilesShown) {
+                    profilesShown = true;
+                    console.log(chalk.cyan(`Fetching the profiles of ${event.total - event.done} accounts...`));
+                } else if (event.stage === 'profiles' && profilesShown) {
+                    drawProgressBar(event.done, event.total);
+                }
+            }
+        });
+    } catch (err) {
+        // A partial follow or bridge list would silently misreport accounts, so stop here
+        process.stdout.write('\n');
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        if (writer) writer.close();
+        outputs.finish();
+        return outputs;
     }
+
+    // --inactive-days N leaves dormant accounts out of the accounts CSV, the report and the import file,
+    // and so out of the follow and list steps; the JSON records keep them
+    let listed = result;
+    if (profileOptions.inactiveDays) {
+        const records = result.records.filter(record => !isDormantSuggestion(record, profileOptions.inactiveDays));
+        const dormant = result.records.length - records.length;
+        if (dormant > 0) console.log(chalk.cyan(`Left out ${dormant} account${dormant === 1 ? '' : 's'} that ${dormant === 1 ? 'hasn\'t' : 'haven\'t'} posted for more than ${profileOptions.inactiveDays} days.`));
+        listed = { ...result, records };
+    }
+
+    // The accounts CSV lists every follow with its bridge status
+    const accountsCsvPath = outputs.path('accounts.csv');
+    initializeCSV(accountsCsvPath);
+    const csvRecords = profileOptions.sort === 'activity'
+        ? [...listed.records].sort((a, b) => compareActivity(a.profile, b.profile))
+        : listed.records;
+    for (const record of csvRecords) appendRecordToCSV(accountsCsvPath, record, outputInstance);
+    outputs.add('accounts', accountsCsvPath);
+    const uncheckedCount = result.records.filter(record => record.status === 'could_not_check').length;
+    if (uncheckedCount > 0) {
+        console.warn(chalk.yellow(`${uncheckedCount} account${uncheckedCount === 1 ? '' : 's'} could not be checked because of network errors or rate limits. Run again to retry them.`));
+        interaction.markPartialFailure();
+    }
+    showBridgedPercentage(coverageStats('bskyToMasto', result.records));
+    showDiagnoses(listed.records);
+
+    // Follows with no bridged Fediverse account, for the unbridged export
+    const unbridgedRows = result.records
+        .filter(record => record.status === 'not_bridged' && record.checks.bridged === http.NOT_FOUND)
+        .map(({ source }) => ({ handle: source.address, did: source.did, link: source.profileUrl }));
+    const unbridgedOptions = resolveUnbridgedOptions(args, unbridgedRows.length);
+
+    const nativeRows = listed.records
+        .filter(record => record.status === 'native_account')
+        .map(({ source, target, native, note }) => ({
+            source: source.address,
+            native: `@${target.address}`,
+            address: target.address,
+            link: target.profileUrl,
+            confidence: native.confidence,
+            evidence: note ? [...native.evidence, note] : native.evidence
+        }));
+
+    // What changed since the last run for this handle
+    const history = reportChanges('bskyToMasto', handleOrDid, result.records, outputs, args);
+
+    const newlyBridgedRows = writeResultsToHtml(outputInstance, listed, outputs.path('report.html'), {
+        unbridgedRows,
+        nativeRows,
+        history,
+        includeMessages: unbridgedOptions.includeMessages,
+        showProfiles: profileOptions.profiles,
+        sortByActivity: profileOptions.sort === 'activity'
+    });
+    if (newlyBridgedRows.some(row => row.checkFailed)) interaction.markPartialFailure();
+    if (fs.existsSync(outputs.path('report.html'))) outputs.add('report', outputs.path('report.html'));
+    writeMastodonImportCsv(newlyBridgedRows, outputs.path('mastodon-import.csv'));
+    outputs.add('mastodonImport', outputs.path('mastodon-import.csv'));
+    if (unbridgedOptions.write) {
+        writeUnbridgedCsv(unbridgedRows, 'bskyToMasto', unbridgedOptions.includeMessages, outputs.path('unbridged.csv'));
+        outputs.add('unbridged', outputs.path('unbridged.csv'));
+    }
+    if (writer) writer.close();
+    run.finish();
+    outputs.finish();
+    lookupCache.save();
+    lookupCache.printStats();
+    console.log(chalk.green('\nDone!'));
+    return outputs;
 }
 
-module.exports = main;
\ No newline at end of file
+module.exports = main;
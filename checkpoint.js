@@ -0,0 +1,156 @@
+const fs = require('fs');
+const chalk = require('chalk').default;
+
+// Bump when the checkpoint layout changes so old files are ignored instead of misread
+const CHECKPOINT_VERSION = 6;
+
+function checkpointPaths(direction) {
+    return {
+        meta: `.checkpoint-${direction}.json`,
+        rows: `.checkpoint-${direction}.rows.ndjson`
+    };
+}
+
+// The args that identify a run; resume, cache, request-layer, prompt, output format and feed switches don't change what is being checked
+const NON_IDENTIFYING_FLAGS = ['--resume', '--refresh', '--no-cache', '--yes', '--no-open', '--keep-files'];
+
+function runArgs(args) {
+    const identifying = [];
+    for (let i = 0; i < args.length; i++) {
+        if (NON_IDENTIFYING_FLAGS.includes(args[i])) continue;
+        if (['--concurrency', '--retries', '--format', '--output', '--atom'].includes(args[i])) {
+            i++;
+            continue;
+        }
+        identifying.push(args[i]);
+    }
+    return identifying;
+}
+
+function readMeta(direction) {
+    const { meta } = checkpointPaths(direction);
+    if (!fs.existsSync(meta)) return null;
+    try {
+        const data = JSON.parse(fs.readFileSync(meta, 'utf8'));
+        return data.version === CHECKPOINT_VERSION ? data : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Read the checked rows appended so far; a torn last line from a crash is ignored
+function readRows(direction) {
+    const { rows } = checkpointPaths(direction);
+    const processed = new Map();
+    if (!fs.existsSync(rows)) return processed;
+    for (const line of fs.readFileSync(rows, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const { key, value } = JSON.parse(line);
+            processed.set(key, value);
+        } catch (err) {
+            // Partial line written when the process was killed
+        }
+    }
+    return processed;
+}
+
+// Find an unfinished run for a direction, with how far it got
+function findUnfinished(direction) {
+    const meta = readMeta(direction);
+    if (!meta) return null;
+    return {
+        args: meta.args,
+        startedAt: meta.startedAt,
+        updatedAt: meta.updatedAt,
+        total: meta.total,
+        processed: readRows(direction).size
+    };
+}
+
+// Check whether an unfinished run was started with the same args
+function matchesArgs(unfinished, args) {
+    return Boolean(unfinished) && JSON.stringify(unfinished.args) === JSON.stringify(runArgs(args));
+}
+
+// Describe an unfinished run for a resume prompt
+function describeUnfinished(unfinished) {
+    const when = new Date(unfinished.updatedAt).toLocaleString();
+    const progress = unfinished.total ? `${unfinished.processed}/${unfinished.total} checked` : 'still fetching follows';
+    return `${runArgs(unfinished.args).join(' ')} (last saved ${when}, ${progress})`;
+}
+
+// Start or resume a checkpointed run. With resume, stages and rows saved earlier are kept;
+// otherwise any previous checkpoint for the direction is discarded.
+function start(direction, args, { resume = false } = {}) {
+    const paths = checkpointPaths(direction);
+    let meta = resume ? readMeta(direction) : null;
+    let processed = resume && meta ? readRows(direction) : new Map();
+
+    if (resume && !meta) {
+        console.warn(chalk.yellow('No checkpoint found to resume; starting a new run.'));
+    } else if (resume) {
+        console.log(chalk.green(`Resuming run started ${new Date(meta.startedAt).toLocaleString()} (${processed.size} accounts already checked).`));
+    }
+    if (!meta) {
+        const now = Date.now();
+        meta = { version: CHECKPOINT_VERSION, direction, args: runArgs(args), startedAt: now, updatedAt: now, total: null, stages: {} };
+        if (fs.existsSync(paths.rows)) fs.unlinkSync(paths.rows);
+        processed = new Map();
+    }
+
+    function writeMeta() {
+        meta.updatedAt = Date.now();
+        const tmpPath = `${paths.meta}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(meta), 'utf8');
+        fs.renameSync(tmpPath, paths.meta);
+    }
+    writeMeta();
+
+    return {
+        // Return a saved stage (e.g. the fetched follow list), or undefined
+        loadStage(name) {
+            return meta.stages[name];
+        },
+
+        // Save a stage result so a resumed run can skip refetching it
+        saveStage(name, value) {
+            meta.stages[name] = value;
+            writeMeta();
+        },
+
+        // Record how many accounts this run will check, for the resume prompt
+        setTotal(total) {
+            meta.total = total;
+            writeMeta();
+        },
+
+        hasRow(key) {
+            return processed.has(key);
+        },
+
+        getRow(key) {
+            return processed.get(key);
+        },
+
+        // Append one checked row; appends are synchronous so an interrupt loses at most this row
+        recordRow(key, value) {
+            processed.set(key, value);
+            fs.appendFileSync(paths.rows, JSON.stringify({ key, value }) + '\n', 'utf8');
+        },
+
+        // Remove the checkpoint once the run's output has been written
+        finish() {
+            for (const file of [paths.meta, paths.rows]) {
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            }
+        }
+    };
+}
+
+module.exports = {
+    findUnfinished,
+    matchesArgs,
+    describeUnfinished,
+    start
+};
@@ -0,0 +1,59 @@
+const chalk = require('chalk').default;
+
+// Terminal rendering of the progress events reported by radar.js
+
+// Draw the loading bar for checked accounts (no per-account output)
+function drawProgressBar(checked, total) {
+    const barLength = 40;
+    const percent = checked / total;
+    const filled = Math.round(barLength * percent);
+    const bar = chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(barLength - filled));
+    const lineWidth = 60;
+    const handleLine = `Checked ${checked}/${total}`;
+    const paddedHandleLine = handleLine.padEnd(lineWidth, ' ');
+    // If complete, print in green and do not overwrite
+    if (checked === total) {
+        process.stdout.write(`\r${chalk.green(paddedHandleLine)}\n${chalk.green(`[${'█'.repeat(barLength)}] 100.0%`)}\n`);
+    } else {
+        process.stdout.write(`\r${chalk.cyan(paddedHandleLine)}\n[${bar}] ${(percent * 100).toFixed(1)}%`);
+        process.stdout.write('\x1b[1A');
+    }
+}
+
+// Render the events of a list fetched page by page: a status line, then a count that is overwritten
+// in place and turns green once the list is complete (total set)
+function fetchCounter(title, label) {
+    let lastLength = 0;
+    return (event) => {
+        if (event.done === 0 && event.total === null) {
+            process.stdout.write(chalk.cyan(`${title}\n`));
+        }
+        const countStr = `${label}: ${event.done}`;
+        const padding = ' '.repeat(Math.max(0, lastLength - countStr.length));
+        lastLength = countStr.length;
+        if (event.total === null) {
+            process.stdout.write(`\r${chalk.cyan(countStr)}${padding}`);
+        } else {
+            process.stdout.write(`\r${chalk.green(countStr)}${padding}\n`);
+        }
+    };
+}
+
+// Progress handler for the bridge follows list, shared by every command that checks Bluesky accounts
+function bridgeFollowsProgress() {
+    const counter = fetchCounter('Gathering bridge follows...', 'Bridge follows gathered');
+    return (event) => {
+        if (event.from === 'cache') {
+            console.log(chalk.green(`Bridge follows loaded from cache: ${event.done}`));
+        } else if (event.from === 'checkpoint') {
+            console.log(chalk.green(`Loaded ${event.done} bridge follows from the checkpoint.`));
+        } else {
+            counter(event);
+        }
+    };
+}
+
+module.exports = {
+    drawProgressBar,
+    bridgeFollowsProgress
+};
@@ -0,0 +1,60 @@
+const chalk = require('chalk').default;
+
+// Coverage of a conversion's records (see jsonOutput.js): how many of your follows on one network you
+// can reach from the other, and how many of those you already follow there
+
+const NETWORKS = {
+    mastoToBsky: { from: 'Mastodon', to: 'Bluesky' },
+    bskyToMasto: { from: 'Bluesky', to: 'Mastodon' }
+};
+
+// count as a percentage of total with two decimals, "0.00" when total is 0
+function percentOf(count, total) {
+    return total > 0 ? ((count / total) * 100).toFixed(2) : '0.00';
+}
+
+// Reachable accounts are bridged, or run their own account on the other network. Bridged accounts
+// your instance blocks the bridge of can't be reached from it (see reachability.js).
+function isReachable(record) {
+    if (record.status === 'native_account') return true;
+    return record.status === 'bridged' && !(record.diagnosis && record.diagnosis.code === 'instance_blocks_bridge');
+}
+
+// Count a direction's records. followed and notFollowed are null when your follows on the other
+// network weren't checked.
+function coverageStats(direction, records) {
+    const reachable = records.filter(isReachable);
+    const followChecked = records.some(record => record.checks.followed === true || record.checks.followed === false);
+    const followed = reachable.filter(record => record.checks.followed === true).length;
+    return {
+        direction,
+        ...NETWORKS[direction],
+        total: records.length,
+        reachable: reachable.length,
+        followed: followChecked ? followed : null,
+        notFollowed: followChecked ? reachable.length - followed : null,
+        unreachable: records.filter(record => !isReachable(record) && record.status !== 'could_not_check').length,
+        unchecked: records.filter(record => record.status === 'could_not_check').length,
+        percent: percentOf(reachable.length, records.length)
+    };
+}
+
+// Display the percentage of follows available on the other network, including already-followed
+function showBridgedPercentage(stats) {
+    console.log(chalk.bold.cyan(
+        `\n${stats.reachable} of ${stats.total} ${stats.from} follows are now available to your ${stats.to} account (including already-followed). (${stats.percent}%)`
+    ));
+    if (stats.notFollowed) {
+        console.log(chalk.cyan(`You don't follow ${stats.notFollowed} of them on ${stats.to} yet.`));
+    }
+    if (stats.unchecked > 0) {
+        console.log(chalk.yellow(`${stats.unchecked} could not be checked, so the percentage may be low.`));
+    }
+}
+
+module.exports = {
+    percentOf,
+    isReachable,
+    coverageStats,
+    showBridgedPercentage
+};
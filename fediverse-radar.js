@@ -6,28 +6,68 @@ const readlineSync = require('readline-sync');
 const _open = require('open');
 const chalk = require('chalk').default;
 const open = _open.default || _open;
+const interaction = require('./interaction.js');
+const jsonOutput = require('./jsonOutput.js');
+const runOutputs = require('./runOutputs.js');
+const { sourceKind } = require('./mastodonSource.js');
+
+// Prompt switches (--yes, --no-open, --keep-files) apply to the whole session
+interaction.configure(process.argv.slice(2));
+
+// Records sent to stdout (--format json|ndjson --output -) keep it to themselves for the whole session
+if (jsonOutput.writesToStdout(process.argv.slice(2))) jsonOutput.claimStdout();
+
+// Input paths are relative to where the radar was started, even when --output-dir moves the output
+const startDir = process.cwd();
+function inputPath(filePath) {
+    return filePath ? path.resolve(startDir, filePath) : filePath;
+}
+
+// Resolve a Mastodon follows source (see mastodonSource.js): files like inputPath, user@instance
+// addresses as they are
+function mastodonSourcePath(source) {
+    if (!source || fs.existsSync(inputPath(source)) || sourceKind(source) !== 'account') return inputPath(source);
+    return source.trim();
+}
 
 // Print the CLI header with formatting
 function printHeader() {
     console.log(chalk.blue.bold('\n=== Fediverse Radar CLI ===\n'));
 }
 
-// Remove generated files on exit
+// Runs started in this session (see runOutputs.js)
+const sessionRuns = [];
+
+// Remember a run's outputs so cleanup can remove them; returns the outputs
+function trackRun(outputs) {
+    if (outputs) sessionRuns.push(outputs);
+    return outputs;
+}
+
+// Remove the files this session's runs generated, as listed in their manifests. Files from earlier
+// sessions and files named with --output are left alone.
 function cleanupGeneratedFiles() {
-    const files = [
-        path.join(__dirname, 'AccountHandles.csv'),
-        path.join(__dirname, 'BlueSkyHandles.txt'),
-        path.join(__dirname, 'output.csv'),
-        path.join(__dirname, 'output.html')
-    ];
-    for (const file of files) {
-        if (fs.existsSync(file)) {
-            try {
-                fs.unlinkSync(file);
-            } catch (err) {
-                console.warn(chalk.yellow(`Could not delete ${file}: ${err.message}`));
-            }
+    for (const outputs of sessionRuns.splice(0)) {
+        runOutputs.remove(outputs);
+    }
+}
+
+// Ask to open a run's HTML report in the default browser (never with --no-open)
+async function promptOpenReport(outputs) {
+    const fileName = outputs && outputs.find('report');
+    if (!fileName) return;
+    const htmlPath = path.resolve(fileName);
+    if (!interaction.shouldOpenReport(path.basename(fileName))) return;
+    try {
+        if (process.platform === 'win32') {
+            require('child_process').spawn('cmd', ['/c', 'start', '', htmlPath], { shell: true, stdio: 'ignore', detached: true });
+            console.log(chalk.green('Open command issued using Windows cmd start.'));
+        } else {
+            await open(htmlPath);
+            console.log(chalk.green('Open command issued using open package.'));
         }
+    } catch (err) {
+        console.warn(chalk.red(`Could not open ${fileName}:`), err.message);
     }
 }
 
@@ -44,15 +84,422 @@ function parseConfigFile(configPath) {
     return config;
 }
 
-// Check for -f2 flag and run in config mode if present
-if (process.argv.includes('-f2')) {
-    const idx = process.argv.indexOf('-f2');
-    const configPath = process.argv[idx + 1];
+// Lookup cache (--refresh, --no-cache), request layer (--concurrency N, --retries N), bridge
+// (--bridges FILE), prompt (--yes, --no-open, --keep-files), machine-readable output
+// (--format json|ndjson, --output FILE), feed (--atom FILE), repo export (--repo FILE) and profile
+// (--no-profiles, --sort activity, --inactive-days N) switches are passed through to the conversion scripts
+const PASSTHROUGH_FLAGS = ['--refresh', '--no-cache', '--yes', '--no-open', '--keep-files', '--no-profiles'];
+const PASSTHROUGH_PATH_OPTIONS = ['--bridges', '--atom', '--repo'];
+const PASSTHROUGH_OPTIONS = ['--concurrency', '--retries', '--format', '--output', '--sort', '--inactive-days'];
+function collectPassthroughArgs(argv) {
+    const passthrough = [];
+    for (let i = 0; i < argv.length; i++) {
+        if (PASSTHROUGH_FLAGS.includes(argv[i])) {
+            passthrough.push(argv[i]);
+        } else if (PASSTHROUGH_PATH_OPTIONS.includes(argv[i]) && argv[i + 1]) {
+            passthrough.push(argv[i], inputPath(argv[i + 1]));
+            i++;
+        } else if (PASSTHROUGH_OPTIONS.includes(argv[i]) && argv[i + 1]) {
+            passthrough.push(argv[i], argv[i + 1]);
+            i++;
+        }
+    }
+    return passthrough;
+}
+const passthroughArgs = collectPassthroughArgs(process.argv.slice(2));
+
+// The args a command runs with: its own, then the passthrough switches it doesn't already have, then
+// the start directory's bridges.json when --output-dir moved the working directory away from it. A
+// conversion's checkpoint records these, so they're built once and the same list is compared when
+// offering to resume.
+function withPassthroughArgs(args) {
+    const combined = [...args];
+    for (let i = 0; i < passthroughArgs.length; i++) {
+        const flag = passthroughArgs[i];
+        const value = PASSTHROUGH_FLAGS.includes(flag) ? [] : [passthroughArgs[++i]];
+        if (!combined.includes(flag)) combined.push(flag, ...value);
+    }
+    const startBridges = path.join(startDir, 'bridges.json');
+    if (!combined.includes('--bridges') && process.cwd() !== startDir && fs.existsSync(startBridges)) {
+        combined.push('--bridges', startBridges);
+    }
+    return combined;
+}
+
+// --output-dir DIR (or OUTPUT_DIR in a config file): write reports, checkpoints and logs to DIR
+// instead of the working directory
+function applyOutputDir(outputDir) {
+    try {
+        fs.mkdirSync(outputDir, { recursive: true });
+        process.chdir(outputDir);
+    } catch (err) {
+        console.error(chalk.red(`Could not use output directory ${outputDir}: ${err.message}`));
+        process.exit(interaction.EXIT_FATAL);
+    }
+}
+const outputDirIndex = process.argv.indexOf('--output-dir');
+if (outputDirIndex !== -1) {
+    if (!process.argv[outputDirIndex + 1]) {
+        console.error(chalk.red('--output-dir needs a directory.'));
+        process.exit(interaction.EXIT_FATAL);
+    }
+    applyOutputDir(inputPath(process.argv[outputDirIndex + 1]));
+}
+
+// Offer to resume an unfinished run for a direction. When args are given (as built by
+// withPassthroughArgs), only a run started with the same args is offered. Returns the args to run
+// with (including --resume), or null.
+function offerResume(direction, args = null) {
+    const checkpoint = require('./checkpoint.js');
+    const unfinished = checkpoint.findUnfinished(direction);
+    if (!unfinished || (args && !checkpoint.matchesArgs(unfinished, args))) return null;
+    console.log(chalk.yellow(`\nFound an unfinished run: ${checkpoint.describeUnfinished(unfinished)}`));
+    if (!interaction.confirm('Resume it from the last processed account?')) return null;
+    return [...(args || withPassthroughArgs(unfinished.args)), '--resume'];
+}
+
+// Read the value following a flag in an args array
+function argValue(args, flag) {
+    const idx = args.indexOf(flag);
+    return idx !== -1 ? args[idx + 1] : undefined;
+}
+
+// Treat "true"/"yes"/"1" config values as enabled
+function isEnabled(value) {
+    return /^(true|yes|1)$/i.test((value || '').trim());
+}
+
+// Run a follow step's writes as a run of its own, so its log is named and cleaned up like the
+// conversion results
+async function withFollowRun(command, follow) {
+    const outputs = trackRun(runOutputs.start(command));
+    const logPath = outputs.path('log.csv');
+    try {
+        await follow(logPath);
+    } finally {
+        if (fs.existsSync(logPath)) outputs.add('log', logPath);
+        outputs.finish();
+    }
+}
+
+// Follow the "Bridged, not yet followed" rows from the latest Mastodon to Bluesky results on Bluesky
+async function runBlueskyFollow({ identifier, appPassword, dryRun, selection } = {}, interactive = true) {
+    const { readFollowCandidates, parseSelection, printFollowPreview, followBridgedAccounts } = require('./bskyFollow.js');
+    const latest = runOutputs.latest('mastoToBsky', 'results');
+    if (!latest) {
+        console.error(chalk.red('No Mastodon to Bluesky results found. Run the Mastodon to Bluesky conversion first.'));
+        interaction.markFatal();
+        return;
+    }
+    const outputCsv = latest.find('results');
+    console.log(chalk.cyan(`Using ${path.basename(outputCsv)}.`));
+    const candidates = readFollowCandidates(outputCsv);
+    if (candidates.length === 0) {
+        console.log(chalk.green('No "Bridged, not yet followed" accounts to follow.'));
+        return;
+    }
+
+    if (interactive) {
+        printFollowPreview(candidates.map(candidate => candidate.handle));
+        selection = readlineSync.question(chalk.bold('Accounts to follow (e.g. 1-10,15) or "all" [all]: '));
+    }
+    const selected = parseSelection(selection, candidates.length).map(i => candidates[i]);
+    if (selected.length === 0) {
+        console.log(chalk.yellow('No accounts selected.'));
+        return;
+    }
+
+    if (interactive) {
+        identifier = readlineSync.question(chalk.bold(`Enter your Bluesky handle${identifier ? ` [${identifier}]` : ''}: `)).trim() || identifier;
+        dryRun = readlineSync.keyInYNStrict(chalk.yellow('Dry run (preview only, no follows created)?'));
+    }
+    if (!dryRun && !identifier) {
+        console.error(chalk.red('A Bluesky handle is required to follow accounts.'));
+        interaction.markFatal();
+        return;
+    }
+    if (!dryRun && !appPassword) {
+        appPassword = interaction.ask('Enter a Bluesky app password: ', '', { hideEchoBack: true });
+        if (!appPassword) {
+            console.error(chalk.red('APP_PASSWORD (or the BSKY_APP_PASSWORD environment variable) is required to follow accounts.'));
+            interaction.markFatal();
+            return;
+        }
+    }
+    if (!dryRun && interactive && !readlineSync.keyInYNStrict(chalk.yellow(`Follow ${selected.length} account${selected.length === 1 ? '' : 's'} as ${identifier}?`))) {
+        console.log(chalk.yellow('Follow step cancelled.'));
+        return;
+    }
+
+    await withFollowRun('bskyFollow', logPath => followBridgedAccounts(selected, { identifier, appPassword, dryRun, logPath }));
+}
+
+// Put the bridged accounts from the latest Mastodon to Bluesky results in a Bluesky list, and
+// optionally a starter pack, adding and removing only what changed since the last sync
+async function runBlueskyList({ identifier, appPassword, dryRun, name, description, starterPack } = {}, interactive = true) {
+    const { readListCandidates, syncBridgedList, DEFAULT_LIST_NAME, DEFAULT_LIST_DESCRIPTION } = require('./bskyList.js');
+    const latest = runOutputs.latest('mastoToBsky', 'results');
+    if (!latest) {
+        console.error(chalk.red('No Mastodon to Bluesky results found. Run the Mastodon to Bluesky conversion first.'));
+        interaction.markFatal();
+        return;
+    }
+    const resultsCsv = latest.find('results');
+    console.log(chalk.cyan(`Using ${path.basename(resultsCsv)}.`));
+    const { accounts, unchecked } = readListCandidates(resultsCsv);
+    console.log(chalk.cyan(`${accounts.length} bridged account${accounts.length === 1 ? '' : 's'} in the results.`));
+    // An account that couldn't be checked may still be bridged, so nothing is removed from the list this time
+    if (unchecked > 0) {
+        console.warn(chalk.yellow(`${unchecked} account${unchecked === 1 ? '' : 's'} could not be checked in that run, so no accounts will be removed from the list.`));
+    }
+
+    if (interactive) {
+        identifier = readlineSync.question(chalk.bold(`Enter your Bluesky handle${identifier ? ` [${identifier}]` : ''}: `)).trim() || identifier;
+        name = readlineSync.question(chalk.bold(`List name [${DEFAULT_LIST_NAME}]: `)).trim() || DEFAULT_LIST_NAME;
+        starterPack = readlineSync.keyInYNStrict(chalk.yellow('Also make a starter pack of these accounts?'));
+        dryRun = readlineSync.keyInYNStrict(chalk.yellow('Dry run (preview only, the list is not changed)?'));
+    }
+    if (!identifier) {
+        console.error(chalk.red('A Bluesky handle is required to manage a list.'));
+        interaction.markFatal();
+        return;
+    }
+    // Working out the difference means reading the current list, so a dry run logs in too
+    if (!appPassword) {
+        appPassword = interaction.ask('Enter a Bluesky app password: ', '', { hideEchoBack: true });
+        if (!appPassword) {
+            console.error(chalk.red('APP_PASSWORD (or the BSKY_APP_PASSWORD environment variable) is required to manage a list.'));
+            interaction.markFatal();
+            return;
+        }
+    }
+
+    await withFollowRun('bskyList', logPath => syncBridgedList(accounts, {
+        identifier,
+        appPassword,
+        name: name || DEFAULT_LIST_NAME,
+        description: description || DEFAULT_LIST_DESCRIPTION,
+        starterPack,
+        dryRun,
+        allowRemovals: unchecked === 0,
+        logPath
+    }));
+}
+
+// Put the bridged accounts from the latest Bluesky to Mastodon results in a Mastodon list on the
+// instance, adding and removing only what changed since the last sync
+async function runMastodonList({ instance, token, dryRun, title, throttleMs } = {}, interactive = true) {
+    const { readListCandidates, syncBridgedList, DEFAULT_LIST_TITLE } = require('./mastoList.js');
+    const { DEFAULT_THROTTLE_MS } = require('./mastoFollow.js');
+    const latest = runOutputs.latest('bskyToMasto', 'accounts');
+    if (!latest) {
+        console.error(chalk.red('No Bluesky to Mastodon results found. Run the Bluesky to Mastodon conversion first.'));
+        interaction.markFatal();
+        return;
+    }
+    const accountsCsv = latest.find('accounts');
+    console.log(chalk.cyan(`Using ${path.basename(accountsCsv)}.`));
+    const { addresses, unchecked } = readListCandidates(accountsCsv);
+    console.log(chalk.cyan(`${addresses.length} bridged account${addresses.length === 1 ? '' : 's'} in the results.`));
+    // An account that couldn't be checked may still be bridged, so nothing is removed from the list this time
+    if (unchecked > 0) {
+        console.warn(chalk.yellow(`${unchecked} account${unchecked === 1 ? '' : 's'} could not be checked in that run, so no accounts will be removed from the list.`));
+    }
+
+    if (interactive) {
+        instance = readlineSync.question(chalk.bold(`Enter your Mastodon instance${instance ? ` [${instance}]` : ''}: `)).trim() || instance;
+        title = readlineSync.question(chalk.bold(`List name [${DEFAULT_LIST_TITLE}]: `)).trim() || DEFAULT_LIST_TITLE;
+        dryRun = readlineSync.keyInYNStrict(chalk.yellow('Dry run (preview only, the list is not changed)?'));
+    }
+    if (!instance) {
+        console.error(chalk.red('A Mastodon instance is required to manage a list.'));
+        interaction.markFatal();
+        return;
+    }
+    // Working out the difference means reading the current list, so a dry run needs the token too
+    if (!token) {
+        if (!interactive) {
+            console.error(chalk.red('MASTODON_TOKEN (or the MASTODON_ACCESS_TOKEN environment variable) is required to manage a list.'));
+            interaction.markFatal();
+            return;
+        }
+        token = await promptMastodonToken(instance);
+        if (!token) return;
+    }
+
+    await withFollowRun('mastoList', logPath => syncBridgedList(addresses, {
+        instance,
+        token,
+        title: title || DEFAULT_LIST_TITLE,
+        dryRun,
+        allowRemovals: unchecked === 0,
+        throttleMs: Number.isNaN(parseInt(throttleMs, 10)) ? DEFAULT_THROTTLE_MS : parseInt(throttleMs, 10),
+        logPath
+    }));
+}
+
+// Get a Mastodon access token, either pasted in or through the OAuth app authorization flow
+async function promptMastodonToken(instance) {
+    const { registerApp, getAuthorizeUrl, exchangeAuthorizationCode } = require('./mastoFollow.js');
+    const pasted = readlineSync.question(chalk.bold('Paste a Mastodon access token (leave blank to authorize in the browser): '), { hideEchoBack: true }).trim();
+    if (pasted) return pasted;
+    try {
+        const app = await registerApp(instance);
+        const authorizeUrl = getAuthorizeUrl(instance, app);
+        console.log(chalk.cyan(`\nAuthorize Fediverse Radar on ${instance}:`));
+        console.log(authorizeUrl);
+        try {
+            await open(authorizeUrl);
+        } catch (err) {
+            // Opening the browser is best effort; the URL is printed above
+        }
+        const code = readlineSync.question(chalk.bold('\nPaste the authorization code shown after approving: '));
+        return await exchangeAuthorizationCode(instance, app, code);
+    } catch (err) {
+        console.error(chalk.red(`Could not authorize with ${instance}: ${err.message}`));
+        return null;
+    }
+}
+
+// Follow the bridged accounts from the latest Bluesky to Mastodon accounts CSV on Mastodon
+async function runMastodonFollow({ instance, token, dryRun, selection, throttleMs, existingCsvPath } = {}, interactive = true) {
+    const { readFollowCandidates, followBridgedAccounts, DEFAULT_THROTTLE_MS } = require('./mastoFollow.js');
+    const { parseSelection, printFollowPreview } = require('./bskyFollow.js');
+    const latest = runOutputs.latest('bskyToMasto', 'accounts');
+    if (!latest) {
+        console.error(chalk.red('No Bluesky to Mastodon results found. Run the Bluesky to Mastodon conversion first.'));
+        interaction.markFatal();
+        return;
+    }
+    const accountHandlesCsv = latest.find('accounts');
+    console.log(chalk.cyan(`Using ${path.basename(accountHandlesCsv)}.`));
+    const candidates = readFollowCandidates(accountHandlesCsv, existingCsvPath);
+    if (candidates.length === 0) {
+        console.log(chalk.green('No bridged accounts left to follow.'));
+        return;
+    }
+
+    if (interactive) {
+        instance = readlineSync.question(chalk.bold(`Enter your Mastodon instance${instance ? ` [${instance}]` : ''}: `)).trim() || instance;
+        printFollowPreview(candidates, instance);
+        selection = readlineSync.question(chalk.bold('Accounts to follow (e.g. 1-10,15) or "all" [all]: '));
+    }
+    if (!instance) {
+        console.error(chalk.red('A Mastodon instance is required to follow accounts.'));
+        interaction.markFatal();
+        return;
+    }
+    const selected = parseSelection(selection, candidates.length).map(i => candidates[i]);
+    if (selected.length === 0) {
+        console.log(chalk.yellow('No accounts selected.'));
+        return;
+    }
+
+    if (interactive) {
+        dryRun = readlineSync.keyInYNStrict(chalk.yellow('Dry run (preview only, no follows created)?'));
+    }
+    if (!dryRun && !token) {
+        if (!interactive) {
+            console.error(chalk.red('MASTODON_TOKEN (or the MASTODON_ACCESS_TOKEN environment variable) is required to follow accounts.'));
+            interaction.markFatal();
+            return;
+        }
+        token = await promptMastodonToken(instance);
+        if (!token) return;
+    }
+    if (!dryRun && interactive && !readlineSync.keyInYNStrict(chalk.yellow(`Follow ${selected.length} account${selected.length === 1 ? '' : 's'} on ${instance}?`))) {
+        console.log(chalk.yellow('Follow step cancelled.'));
+        return;
+    }
+
+    await withFollowRun('mastoFollow', logPath => followBridgedAccounts(selected, {
+        instance,
+        token,
+        dryRun,
+        throttleMs: Number.isNaN(parseInt(throttleMs, 10)) ? DEFAULT_THROTTLE_MS : parseInt(throttleMs, 10),
+        logPath
+    }));
+}
+
+// Ask whether to run the native account cross-reference, which needs a profile lookup per account
+function promptCrossReference() {
+    return readlineSync.keyInYNStrict(chalk.yellow('Also look for people with a native account on the other network (slower)?'))
+        ? ['--cross-reference']
+        : [];
+}
+
+// Turn UNBRIDGED / UNBRIDGED_MESSAGES config values into conversion flags; unset means ask
+function unbridgedArgs(config) {
+    if (config.UNBRIDGED === undefined) return [];
+    if (!isEnabled(config.UNBRIDGED)) return ['--no-unbridged'];
+    return isEnabled(config.UNBRIDGED_MESSAGES) ? ['--unbridged', '--unbridged-messages'] : ['--unbridged'];
+}
+
+// Turn the BRIDGES_FILE config value into the --bridges flag
+function bridgesArgs(config) {
+    return config.BRIDGES_FILE ? ['--bridges', config.BRIDGES_FILE] : [];
+}
+
+// Turn the ATOM_FEED config value into the --atom flag, unless --atom was given on the command line
+function atomArgs(config) {
+    return config.ATOM_FEED && !passthroughArgs.includes('--atom') ? ['--atom', config.ATOM_FEED] : [];
+}
+
+// Turn the REPO_FILE config value into the --repo flag, unless --repo was given on the command line
+function repoArgs(config) {
+    return config.REPO_FILE && !passthroughArgs.includes('--repo') ? ['--repo', config.REPO_FILE] : [];
+}
+
+// Turn the PROFILES, SORT and INACTIVE_DAYS config values into profile flags, unless they were given on
+// the command line
+function profileArgs(config) {
+    const args = [];
+    if (config.PROFILES !== undefined && !isEnabled(config.PROFILES) && !passthroughArgs.includes('--no-profiles')) {
+        args.push('--no-profiles');
+    }
+    if (config.SORT && !passthroughArgs.includes('--sort')) args.push('--sort', config.SORT);
+    if (config.INACTIVE_DAYS && !passthroughArgs.includes('--inactive-days')) args.push('--inactive-days', config.INACTIVE_DAYS);
+    return args;
+}
+
+// Read a config mode's config file, resolving the file paths in it against the start directory
+function readConfig(flag) {
+    const idx = process.argv.indexOf(flag);
+    const configPath = inputPath(process.argv[idx + 1]);
     if (!configPath || !fs.existsSync(configPath)) {
-        console.error(chalk.red('Config file not found or not specified after -f2.'));
-        process.exit(1);
+        console.error(chalk.red(`Config file not found or not specified after ${flag}.`));
+        process.exit(interaction.EXIT_FATAL);
     }
     const config = parseConfigFile(configPath);
+    for (const key of ['FILE_PATH', 'BRIDGES_FILE', 'FOLLOWERS_FILE_PATH', 'OUTPUT_DIR', 'ATOM_FEED', 'REPO_FILE']) {
+        if (config[key]) config[key] = inputPath(config[key]);
+    }
+    if (config.SOURCE) config.SOURCE = mastodonSourcePath(config.SOURCE);
+    // --output-dir on the command line wins over the config
+    if (config.OUTPUT_DIR && outputDirIndex === -1) applyOutputDir(config.OUTPUT_DIR);
+    return config;
+}
+
+// Run a config mode's steps, then offer cleanup and exit with the run's exit code. A fatal error in
+// a step skips the rest and keeps the files for a look.
+function runConfigMode(steps) {
+    (async () => {
+        await steps();
+        if (process.exitCode === interaction.EXIT_FATAL) process.exit(interaction.EXIT_FATAL);
+        if (interaction.shouldCleanUp()) {
+            cleanupGeneratedFiles();
+            console.log(chalk.green('Cleanup complete.'));
+        }
+        process.exit(process.exitCode || interaction.EXIT_SUCCESS);
+    })().catch(err => {
+        console.error(chalk.red(`Stopped by an unexpected error: ${err.stack || err.message}`));
+        process.exit(interaction.EXIT_FATAL);
+    });
+}
+
+// Check for -f2 flag and run in config mode if present
+if (process.argv.includes('-f2')) {
+    const config = readConfig('-f2');
 
     // Show config summary to user
     console.log(chalk.magenta.bold('\n=== Fediverse Radar Config Mode ==='));
@@ -60,12 +507,15 @@ if (process.argv.includes('-f2')) {
     console.log(chalk.cyan('CHECK_INSTANCE:'), config.CHECK_INSTANCE || chalk.red('MISSING'));
     console.log(chalk.cyan('WRITE_INSTANCE:'), config.WRITE_INSTANCE || chalk.red('MISSING'));
     console.log(chalk.cyan('FILE_PATH:'), config.FILE_PATH || chalk.gray('(none, will not check CSV)'));
+    console.log(chalk.cyan('REPO_FILE:'), config.REPO_FILE || chalk.gray('(none, follows come from the API)'));
+    console.log(chalk.cyan('FOLLOW:'), isEnabled(config.FOLLOW) ? (isEnabled(config.DRY_RUN) ? 'yes (dry run)' : 'yes') : chalk.gray('no'));
+    console.log(chalk.cyan('LIST:'), isEnabled(config.LIST) ? `${config.LIST_NAME || 'yes'}${isEnabled(config.DRY_RUN) ? ' (dry run)' : ''}` : chalk.gray('no'));
     console.log('');
 
     // Validate required fields
     if (!config.HANDLE || !config.CHECK_INSTANCE || !config.WRITE_INSTANCE) {
         console.error(chalk.red('Config file missing required fields (HANDLE, CHECK_INSTANCE, WRITE_INSTANCE).'));
-        process.exit(1);
+        process.exit(interaction.EXIT_FATAL);
     }
 
     // Build args for bskyToMasto
@@ -76,153 +526,294 @@ if (process.argv.includes('-f2')) {
     if (config.WRITE_INSTANCE) {
         args.push('--instance', config.WRITE_INSTANCE);
     }
+    if (isEnabled(config.CROSS_REFERENCE)) {
+        args.push('--cross-reference');
+    }
+    args.push(...unbridgedArgs(config), ...bridgesArgs(config), ...atomArgs(config), ...repoArgs(config), ...profileArgs(config));
+    args = withPassthroughArgs(args);
+    args = offerResume('bskyToMasto', args) || args;
     process.env.BSKY_CHECK_INSTANCE = config.CHECK_INSTANCE;
     process.env.BSKY_WRITE_INSTANCE = config.WRITE_INSTANCE;
     const bskyToMasto = require('./bskyToMasto.js');
-    (async () => {
-        await bskyToMasto(args);
+    runConfigMode(async () => {
+        const outputs = trackRun(await bskyToMasto(args));
+        if (process.exitCode === interaction.EXIT_FATAL) return;
 
-        if (readlineSync.keyInYNStrict(chalk.yellow('\nWould you like to clean up generated files?'))) {
-            cleanupGeneratedFiles();
-            console.log(chalk.green('Cleanup complete.'));
+        await promptOpenReport(outputs);
+
+        // Opt-in follow step: FOLLOW=true, with the token from the config or MASTODON_ACCESS_TOKEN
+        if (isEnabled(config.FOLLOW)) {
+            await runMastodonFollow({
+                instance: config.WRITE_INSTANCE,
+                token: config.MASTODON_TOKEN || process.env.MASTODON_ACCESS_TOKEN,
+                dryRun: isEnabled(config.DRY_RUN),
+                selection: config.FOLLOW_SELECTION || 'all',
+                throttleMs: config.THROTTLE_MS,
+                existingCsvPath: config.FILE_PATH
+            }, false);
         }
 
-        process.exit(0);
-    })();
+        // Opt-in list step: LIST=true keeps a Mastodon list of the bridged accounts in sync
+        if (isEnabled(config.LIST)) {
+            await runMastodonList({
+                instance: config.WRITE_INSTANCE,
+                token: config.MASTODON_TOKEN || process.env.MASTODON_ACCESS_TOKEN,
+                dryRun: isEnabled(config.DRY_RUN),
+                title: config.LIST_NAME,
+                throttleMs: config.THROTTLE_MS
+            }, false);
+        }
+    });
     return;
 }
 
 // Check for -f1 flag and run in config mode if present
 if (process.argv.includes('-f1')) {
-    const idx = process.argv.indexOf('-f1');
-    const configPath = process.argv[idx + 1];
-    if (!configPath || !fs.existsSync(configPath)) {
-        console.error(chalk.red('Config file not found or not specified after -f1.'));
-        process.exit(1);
-    }
-    const config = parseConfigFile(configPath);
+    const config = readConfig('-f1');
 
     // Show config summary to user
     console.log(chalk.magenta.bold('\n=== Fediverse Radar Config Mode (Mastodon to Bluesky) ==='));
     console.log(chalk.cyan('HANDLE:'), config.HANDLE || chalk.red('MISSING'));
     console.log(chalk.cyan('CHECK_INSTANCE:'), config.CHECK_INSTANCE || chalk.red('MISSING'));
     console.log(chalk.cyan('WRITE_INSTANCE:'), config.WRITE_INSTANCE || chalk.red('MISSING'));
-    console.log(chalk.cyan('FILE_PATH:'), config.FILE_PATH || chalk.red('MISSING'));
+    console.log(chalk.cyan('SOURCE:'), config.SOURCE || config.FILE_PATH || chalk.red('MISSING'));
+    console.log(chalk.cyan('REPO_FILE:'), config.REPO_FILE || chalk.gray('(none, follows come from the API)'));
+    console.log(chalk.cyan('FOLLOW:'), isEnabled(config.FOLLOW) ? (isEnabled(config.DRY_RUN) ? 'yes (dry run)' : 'yes') : chalk.gray('no'));
+    console.log(chalk.cyan('LIST:'), isEnabled(config.LIST) ? `${config.LIST_NAME || 'yes'}${isEnabled(config.STARTER_PACK) ? ', with a starter pack' : ''}${isEnabled(config.DRY_RUN) ? ' (dry run)' : ''}` : chalk.gray('no'));
     console.log('');
 
-    // Validate required fields
-    if (!config.FILE_PATH) {
-        console.error(chalk.red('Config file missing required field: FILE_PATH (Mastodon CSV).'));
-        process.exit(1);
+    // Validate required fields; FILE_PATH is the older name for SOURCE
+    const source = config.SOURCE || config.FILE_PATH;
+    if (!source) {
+        console.error(chalk.red('Config file missing required field: SOURCE (Mastodon CSV, account archive or user@instance address).'));
+        process.exit(interaction.EXIT_FATAL);
+    }
+    if (config.MASTODON_TOKEN) {
+        process.env.MASTODON_ACCESS_TOKEN = config.MASTODON_TOKEN;
     }
 
     // Build args for mastoToBsky
-    let args = [config.FILE_PATH];
+    let args = [source];
     if (config.CHECK_INSTANCE) {
         args.push('-c');
     }
     if (config.HANDLE) {
         args.push('-f', config.HANDLE);
     }
+    if (isEnabled(config.CROSS_REFERENCE)) {
+        args.push('--cross-reference');
+    }
+    args.push(...unbridgedArgs(config), ...bridgesArgs(config), ...atomArgs(config), ...repoArgs(config), ...profileArgs(config));
+    args = withPassthroughArgs(args);
+    args = offerResume('mastoToBsky', args) || args;
 
     process.env.BSKY_CHECK_INSTANCE = config.CHECK_INSTANCE || '';
     process.env.BSKY_WRITE_INSTANCE = config.WRITE_INSTANCE || '';
 
-    (async () => {
+    runConfigMode(async () => {
         const mastoToBsky = require('./mastoToBsky.js');
-        await mastoToBsky(args);
+        const outputs = trackRun(await mastoToBsky(args));
+        if (process.exitCode === interaction.EXIT_FATAL) return;
 
-        const htmlPath = path.resolve('output.html');
         // Always prompt to open the HTML report
-        if (readlineSync.keyInYNStrict(chalk.yellow('Open the HTML report (output.html) in your browser?'))) {
-            try {
-                if (process.platform === 'win32') {
-                    require('child_process').spawn('cmd', ['/c', 'start', '', htmlPath], { shell: true, stdio: 'ignore', detached: true });
-                    console.log(chalk.green('Open command issued using Windows cmd start.'));
-                } else {
-                    await open(htmlPath);
-                    console.log(chalk.green('Open command issued using open package.'));
-                }
-            } catch (err) {
-                console.warn(chalk.red('Could not open output.html:'), err.message);
-            }
+        await promptOpenReport(outputs);
+
+        // Opt-in follow step: FOLLOW=true, with the app password from the config or BSKY_APP_PASSWORD
+        if (isEnabled(config.FOLLOW)) {
+            await runBlueskyFollow({
+                identifier: config.HANDLE,
+                appPassword: config.APP_PASSWORD || process.env.BSKY_APP_PASSWORD,
+                dryRun: isEnabled(config.DRY_RUN),
+                selection: config.FOLLOW_SELECTION || 'all'
+            }, false);
         }
 
-        if (readlineSync.keyInYNStrict(chalk.yellow('\nWould you like to clean up generated files?'))) {
-            cleanupGeneratedFiles();
-            console.log(chalk.green('Cleanup complete.'));
+        // Opt-in list step: LIST=true keeps a Bluesky list (and with STARTER_PACK=true a starter pack) in sync
+        if (isEnabled(config.LIST)) {
+            await runBlueskyList({
+                identifier: config.HANDLE,
+                appPassword: config.APP_PASSWORD || process.env.BSKY_APP_PASSWORD,
+                dryRun: isEnabled(config.DRY_RUN),
+                name: config.LIST_NAME,
+                description: config.LIST_DESCRIPTION,
+                starterPack: isEnabled(config.STARTER_PACK)
+            }, false);
         }
+    });
+    return;
+}
 
-        process.exit(0);
-    })();
+// Check for -f3 flag and run the followers reach report in config mode if present
+if (process.argv.includes('-f3')) {
+    const config = readConfig('-f3');
+    const mastoSource = config.MASTODON_ACCOUNT || config.FOLLOWERS_FILE_PATH;
+
+    // Show config summary to user
+    console.log(chalk.magenta.bold('\n=== Fediverse Radar Config Mode (Followers Reach) ==='));
+    console.log(chalk.cyan('HANDLE:'), config.HANDLE || chalk.red('MISSING'));
+    console.log(chalk.cyan('MASTODON_ACCOUNT:'), config.MASTODON_ACCOUNT || chalk.gray('(none)'));
+    console.log(chalk.cyan('FOLLOWERS_FILE_PATH:'), config.FOLLOWERS_FILE_PATH || chalk.gray('(none)'));
+    console.log('');
+
+    // Validate required fields
+    if (!config.HANDLE || !mastoSource) {
+        console.error(chalk.red('Config file missing required fields (HANDLE, and MASTODON_ACCOUNT or FOLLOWERS_FILE_PATH).'));
+        process.exit(interaction.EXIT_FATAL);
+    }
+    if (config.MASTODON_TOKEN) {
+        process.env.MASTODON_ACCESS_TOKEN = config.MASTODON_TOKEN;
+    }
+
+    runConfigMode(async () => {
+        const followersReach = require('./followersReach.js');
+        const outputs = trackRun(await followersReach(withPassthroughArgs([config.HANDLE, '-m', mastoSource, ...bridgesArgs(config)])));
+        if (process.exitCode === interaction.EXIT_FATAL) return;
+
+        await promptOpenReport(outputs);
+    });
+    return;
+}
+
+// Check for -f4 flag and run the full radar (both directions and a dashboard) in config mode if present
+if (process.argv.includes('-f4')) {
+    const config = readConfig('-f4');
+    const mastoSource = config.MASTODON_ACCOUNT || config.FILE_PATH;
+
+    // Show config summary to user
+    console.log(chalk.magenta.bold('\n=== Fediverse Radar Config Mode (Full Radar) ==='));
+    console.log(chalk.cyan('HANDLE:'), config.HANDLE || chalk.red('MISSING'));
+    console.log(chalk.cyan('MASTODON_ACCOUNT:'), config.MASTODON_ACCOUNT || chalk.gray('(none)'));
+    console.log(chalk.cyan('FILE_PATH:'), config.FILE_PATH || chalk.gray('(none)'));
+    console.log(chalk.cyan('WRITE_INSTANCE:'), config.WRITE_INSTANCE || chalk.gray('(the Mastodon account\'s instance)'));
+    console.log(chalk.cyan('REPO_FILE:'), config.REPO_FILE || chalk.gray('(none, follows come from the API)'));
+    console.log('');
+
+    // Validate required fields
+    if (!config.HANDLE || !mastoSource) {
+        console.error(chalk.red('Config file missing required fields (HANDLE, and MASTODON_ACCOUNT or FILE_PATH).'));
+        process.exit(interaction.EXIT_FATAL);
+    }
+    if (config.MASTODON_TOKEN) {
+        process.env.MASTODON_ACCESS_TOKEN = config.MASTODON_TOKEN;
+    }
+
+    const args = [config.HANDLE, '-m', mastoSource];
+    if (config.WRITE_INSTANCE) {
+        args.push('--instance', config.WRITE_INSTANCE);
+    }
+    if (isEnabled(config.CROSS_REFERENCE)) {
+        args.push('--cross-reference');
+    }
+    args.push(...bridgesArgs(config), ...repoArgs(config));
+
+    runConfigMode(async () => {
+        const fullRadar = require('./fullRadar.js');
+        const outputs = trackRun(await fullRadar(withPassthroughArgs(args)));
+        if (process.exitCode === interaction.EXIT_FATAL) return;
+
+        await promptOpenReport(outputs);
+    });
     return;
 }
 
+// Remember the inputs of the last runs for the follow steps
+let lastBskyHandle = '';
+let lastMastoCsvPath = null;
+
 // Main interactive menu loop
 async function mainMenu() {
     printHeader();
     const options = [
-        chalk.cyan('Convert Mastodon CSV to Bluesky (Mastodon to Bluesky)'),
-        chalk.cyan('Convert Bluesky follows to Mastodon handles (Bluesky to Mastodon)')
+        chalk.cyan('Convert Mastodon follows to Bluesky (Mastodon to Bluesky)'),
+        chalk.cyan('Convert Bluesky follows to Mastodon handles (Bluesky to Mastodon)'),
+        chalk.cyan('Follow bridged accounts on Bluesky (from Mastodon to Bluesky results)'),
+        chalk.cyan('Follow bridged accounts on Mastodon (from Bluesky to Mastodon results)'),
+        chalk.cyan('Followers reach (which of your followers can see you across the bridge)'),
+        chalk.cyan('Full radar (both directions, with a coverage dashboard)'),
+        chalk.cyan('Create or update a Bluesky list of bridged accounts (from Mastodon to Bluesky results)'),
+        chalk.cyan('Create or update a Mastodon list of bridged accounts (from Bluesky to Mastodon results)')
     ];
     const index = readlineSync.keyInSelect(options, chalk.bold('Select an action:'), { cancel: chalk.red('Exit/Cleanup') });
     if (index === -1) {
-        cleanupGeneratedFiles();
+        if (!interaction.keepsFiles()) cleanupGeneratedFiles();
         console.log(chalk.magenta.bold('Goodbye!'));
         process.exit(0);
     }
     switch (index) {
         case 0: { // Mastodon to Bluesky conversion
-            let inputCsv = readlineSync.question(chalk.bold('Enter the path to the Mastodon CSV file: '));
-            inputCsv = inputCsv.trim().replace(/^['"]+|['"]+$/g, '');
-            // Always check account existence and always ask for BSKY handle
-            const bskyHandleOrDid = readlineSync.question(chalk.bold('Enter your Bluesky handle or DID: '));
-            const followCheckArgs = ['-f', bskyHandleOrDid];
+            let args = offerResume('mastoToBsky');
+            if (!args) {
+                let mastoSource = readlineSync.question(chalk.bold('Enter the path to your Mastodon following CSV or account archive, or your Mastodon account (user@instance): '));
+                mastoSource = mastodonSourcePath(mastoSource.trim().replace(/^['"]+|['"]+$/g, ''));
+                // Always check account existence and always ask for BSKY handle
+                const bskyHandleOrDid = readlineSync.question(chalk.bold('Enter your Bluesky handle or DID: '));
+                const followCheckArgs = ['-f', bskyHandleOrDid];
+                args = withPassthroughArgs([mastoSource, '-c', ...followCheckArgs, ...promptCrossReference()]);
+            }
+            lastBskyHandle = (argValue(args, '-f') || '').trim();
             console.log(chalk.cyan('Running mastoToBsky...'));
             const mastoToBsky = require('./mastoToBsky.js');
-            await mastoToBsky([inputCsv, '-c', ...followCheckArgs]);
-            const htmlPath = path.resolve('output.html');
+            const outputs = trackRun(await mastoToBsky(args));
             // Always prompt to open the HTML report
-            if (readlineSync.keyInYNStrict(chalk.yellow('Open the HTML report (output.html) in your browser?'))) {
-                try {
-                    if (process.platform === 'win32') {
-                        require('child_process').spawn('cmd', ['/c', 'start', '', htmlPath], { shell: true, stdio: 'ignore', detached: true });
-                        console.log(chalk.green('Open command issued using Windows cmd start.'));
-                    } else {
-                        await open(htmlPath);
-                        console.log(chalk.green('Open command issued using open package.'));
-                    }
-                } catch (err) {
-                    console.warn(chalk.red('Could not open output.html:'), err.message);
-                }
-            }
+            await promptOpenReport(outputs);
             break;
         }
         case 1: { // Bluesky to Mastodon conversion
-            const handleOrDid = readlineSync.question(chalk.bold('Enter the Bluesky handle or DID to fetch follows from: '));
-            let args = [handleOrDid];
-            if (readlineSync.keyInYNStrict(chalk.yellow('Check mode (filter duplicates with CSV)?'))) {
-                let csvPath = readlineSync.question(chalk.bold('Enter the path to the existing CSV: '));
-                csvPath = csvPath.trim().replace(/^['"]+|['"]+$/g, '');
-                args.push('-c', csvPath);
+            let args = offerResume('bskyToMasto');
+            if (!args) {
+                const handleOrDid = readlineSync.question(chalk.bold('Enter the Bluesky handle or DID to fetch follows from: '));
+                args = [handleOrDid];
+                if (readlineSync.keyInYNStrict(chalk.yellow('Check mode (filter duplicates with CSV)?'))) {
+                    let csvPath = readlineSync.question(chalk.bold('Enter the path to the existing CSV: '));
+                    csvPath = inputPath(csvPath.trim().replace(/^['"]+|['"]+$/g, ''));
+                    args.push('-c', csvPath);
+                }
+                args = withPassthroughArgs([...args, ...promptCrossReference()]);
             }
+            lastMastoCsvPath = argValue(args, '-c') || null;
             console.log(chalk.cyan('Running bskyToMasto...'));
             const bskyToMasto = require('./bskyToMasto.js');
-            await bskyToMasto(args);
-            const htmlPath = path.resolve('output.html');
-            if (readlineSync.keyInYNStrict(chalk.yellow('Open the HTML report (output.html) in your browser?'))) {
-                try {
-                    if (process.platform === 'win32') {
-                        require('child_process').spawn('cmd', ['/c', 'start', '', htmlPath], { shell: true, stdio: 'ignore', detached: true });
-                        console.log(chalk.green('Open command issued using Windows cmd start.'));
-                    } else {
-                        await open(htmlPath);
-                        console.log(chalk.green('Open command issued using open package.'));
-                    }
-                } catch (err) {
-                    console.warn(chalk.red('Could not open output.html:'), err.message);
-                }
-            }
+            const outputs = trackRun(await bskyToMasto(args));
+            // Always prompt to open the HTML report
+            await promptOpenReport(outputs);
+            break;
+        }
+        case 2: { // Follow bridged accounts on Bluesky
+            await runBlueskyFollow({ identifier: lastBskyHandle });
+            break;
+        }
+        case 3: { // Follow bridged accounts on Mastodon
+            await runMastodonFollow({ instance: process.env.BSKY_WRITE_INSTANCE, existingCsvPath: lastMastoCsvPath });
+            break;
+        }
+        case 4: { // Followers reach
+            const bskyHandleOrDid = readlineSync.question(chalk.bold(`Enter your Bluesky handle${lastBskyHandle ? ` [${lastBskyHandle}]` : ''}: `)).trim() || lastBskyHandle;
+            let mastoSource = readlineSync.question(chalk.bold('Enter your Mastodon account (user@instance) or the path to a followers CSV: '));
+            mastoSource = mastoSource.trim().replace(/^['"]+|['"]+$/g, '');
+            if (fs.existsSync(inputPath(mastoSource))) mastoSource = inputPath(mastoSource);
+            console.log(chalk.cyan('Running followersReach...'));
+            const followersReach = require('./followersReach.js');
+            const outputs = trackRun(await followersReach(withPassthroughArgs([bskyHandleOrDid, '-m', mastoSource])));
+            await promptOpenReport(outputs);
+            break;
+        }
+        case 5: { // Full radar
+            const bskyHandleOrDid = readlineSync.question(chalk.bold(`Enter your Bluesky handle${lastBskyHandle ? ` [${lastBskyHandle}]` : ''}: `)).trim() || lastBskyHandle;
+            let mastoSource = readlineSync.question(chalk.bold('Enter your Mastodon account (user@instance) or the path to a following CSV or account archive: '));
+            mastoSource = mastodonSourcePath(mastoSource.trim().replace(/^['"]+|['"]+$/g, ''));
+            lastBskyHandle = bskyHandleOrDid;
+            console.log(chalk.cyan('Running fullRadar...'));
+            const fullRadar = require('./fullRadar.js');
+            const outputs = trackRun(await fullRadar(withPassthroughArgs([bskyHandleOrDid, '-m', mastoSource, ...promptCrossReference()])));
+            await promptOpenReport(outputs);
+            break;
+        }
+        case 6: { // Bluesky list of bridged accounts
+            await runBlueskyList({ identifier: lastBskyHandle });
+            break;
+        }
+        case 7: { // Mastodon list of bridged accounts
+            await runMastodonList({ instance: process.env.BSKY_WRITE_INSTANCE });
             break;
         }
         default:
@@ -232,4 +823,10 @@ async function mainMenu() {
     await mainMenu();
 }
 
+// The menu needs a terminal; headless runs go through a config mode
+if (interaction.isHeadless()) {
+    console.error(chalk.red('--yes runs without prompts, so it needs a config mode: -f1, -f2, -f3 or -f4 with a config file.'));
+    process.exit(interaction.EXIT_FATAL);
+}
+
 mainMenu();
\ No newline at end of file
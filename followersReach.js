@@ -0,0 +1,265 @@
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+const chalk = require('chalk').default;
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const interaction = require('./interaction.js');
+const { fetchAccountList, parseAccountAddress } = require('./mastodonApi.js');
+const bridgeProviders = require('./bridgeProviders.js');
+const { fetchFollowers, checkAccountExists } = require('./blueskyApi.js');
+const { isInvalidHandle } = require('./atprotoIdentity.js');
+const { drawProgressBar, bridgeFollowsProgress } = require('./cliProgress.js');
+const runOutputs = require('./runOutputs.js');
+const { escapeHtml, linkHtml, copyButton, resultsTable, reportPage } = require('./reportHtml.js');
+const { percentOf } = require('./coverage.js');
+
+// Read follower addresses from a CSV with an "Account address" column
+function readFollowersCsv(csvPath) {
+    const records = parse(fs.readFileSync(csvPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    return records
+        .map(record => (record['Account address'] || '').trim().replace(/^@/, '').toLowerCase())
+        .filter(Boolean);
+}
+
+// Classify Bluesky followers: Fediverse accounts following through a bridge, and native
+// Bluesky accounts (which may themselves be bridged out to the Fediverse by any enabled provider)
+async function classifyBlueskyFollowers(followers) {
+    return http.mapWithConcurrency(followers, http.getConcurrency(), async ({ did, handle }) => {
+        const lower = handle.toLowerCase();
+        const viaBridge = bridgeProviders.providerForBlueskyHandle(lower);
+        if (viaBridge) {
+            return { side: 'Bluesky', follower: lower, type: 'Fediverse via bridge', bridged: 'yes', bridge: viaBridge.name, profileUrl: `https://bsky.app/profile/${lower}` };
+        }
+        const { provider, outcome } = await bridgeProviders.findFediverseBridge({ did, handle: lower });
+        return {
+            side: 'Bluesky',
+            follower: lower,
+            type: 'Native Bluesky',
+            bridged: provider ? 'yes' : (outcome === http.UNKNOWN ? 'unknown' : 'no'),
+            bridge: provider ? provider.name : '',
+            bridgedAddress: provider && lower !== 'handle.invalid' ? provider.fediverseAddress(lower) : '',
+            profileUrl: `https://bsky.app/profile/${lower === 'handle.invalid' ? did : lower}`
+        };
+    });
+}
+
+// Classify Mastodon followers: Bluesky accounts following through Bridgy Fed, and native
+// Fediverse accounts (checked for a bridged copy on Bluesky)
+async function classifyMastodonFollowers(addresses) {
+    let checked = 0;
+    if (addresses.length > 0) console.log(chalk.cyan(`Checking ${addresses.length} Mastodon follower${addresses.length === 1 ? '' : 's'}...`));
+    return http.mapWithConcurrency(addresses, http.getConcurrency(), async (address) => {
+        const { username, instance } = parseAccountAddress(address);
+        const profileUrl = `https://${instance}/@${username}`;
+        let row;
+        const viaBridge = bridgeProviders.providerForFediverseAddress(address);
+        if (viaBridge) {
+            row = { side: 'Mastodon', follower: address, type: 'Bluesky via bridge', bridged: 'yes', bridge: viaBridge.name, profileUrl };
+        } else if (bridgeProviders.isExcluded(address)) {
+            // Other bridges and services can't be bridged again
+            row = { side: 'Mastodon', follower: address, type: 'Native Fediverse', bridged: 'no', bridge: '', profileUrl };
+        } else {
+            const result = await bridgeProviders.resolveBlueskyAccount(address);
+            const bridged = result.exists ? 'yes' : (result.outcome === http.UNKNOWN ? 'unknown' : 'no');
+            const provider = result.exists ? bridgeProviders.get(result.bridge) : null;
+            row = { side: 'Mastodon', follower: address, type: 'Native Fediverse', bridged, bridge: provider ? provider.name : '', bridgedAddress: result.exists ? result.handle : '', profileUrl };
+        }
+        drawProgressBar(++checked, addresses.length);
+        return row;
+    });
+}
+
+// Summarize both follower lists and what bridging our own accounts would add
+function summarizeReach(bskyRows, mastoRows, ownBskyBridged, ownMastoBridged) {
+    const bskyTotal = bskyRows.length;
+    const bskyViaBridge = bskyRows.filter(r => r.type === 'Fediverse via bridge').length;
+    const bskyNative = bskyTotal - bskyViaBridge;
+    const bskyNativeBridged = bskyRows.filter(r => r.type === 'Native Bluesky' && r.bridged === 'yes').length;
+
+    const mastoTotal = mastoRows.length;
+    const mastoViaBridge = mastoRows.filter(r => r.type === 'Bluesky via bridge').length;
+    const mastoNative = mastoTotal - mastoViaBridge;
+    const mastoNativeBridged = mastoRows.filter(r => r.type === 'Native Fediverse' && r.bridged === 'yes').length;
+    const mastoUnknown = mastoRows.filter(r => r.bridged === 'unknown').length;
+
+    const verdicts = [];
+    // Native Fediverse followers can only follow our Bluesky account if it is bridged
+    if (ownBskyBridged === true) {
+        verdicts.push(`Your Bluesky account is bridged: Fediverse users can follow it (${bskyViaBridge} already do).`);
+    } else if (ownBskyBridged === false) {
+        verdicts.push(`Turning on bridging for your Bluesky account would let ${mastoNative} Mastodon follower${mastoNative === 1 ? '' : 's'} (${percentOf(mastoNative, mastoTotal)}%) on the Fediverse follow your Bluesky posts, which they can't today.`);
+    } else {
+        verdicts.push('Your Bluesky account\'s bridging status is unknown: the check failed. Run again to retry it.');
+    }
+    // Native Bluesky followers can only follow our Mastodon account if it is bridged
+    if (ownMastoBridged === true) {
+        verdicts.push(`Your Mastodon account is bridged: Bluesky users can follow it (${mastoViaBridge} already do).`);
+    } else if (ownMastoBridged === false) {
+        verdicts.push(`Turning on bridging for your Mastodon account would let ${bskyNative} Bluesky follower${bskyNative === 1 ? '' : 's'} (${percentOf(bskyNative, bskyTotal)}%) follow your Mastodon posts, which they can't today.`);
+    } else {
+        verdicts.push('Your Mastodon account\'s bridging status is unknown (pass your Mastodon account instead of a CSV to check it).');
+    }
+
+    return {
+        bskyTotal, bskyViaBridge, bskyNative, bskyNativeBridged,
+        mastoTotal, mastoViaBridge, mastoNative, mastoNativeBridged, mastoUnknown,
+        ownBskyBridged, ownMastoBridged, verdicts
+    };
+}
+
+// Print the reach summary with percentages
+function printReachSummary(summary) {
+    console.log(chalk.bold.cyan('\n=== Followers Reach ==='));
+    console.log(chalk.bold('Bluesky followers:'), summary.bskyTotal);
+    console.log(`  ${summary.bskyViaBridge} (${percentOf(summary.bskyViaBridge, summary.bskyTotal)}%) are Fediverse accounts following through the bridge`);
+    console.log(`  ${summary.bskyNativeBridged} of ${summary.bskyNative} native Bluesky followers (${percentOf(summary.bskyNativeBridged, summary.bskyNative)}%) are bridged to the Fediverse`);
+    console.log(chalk.bold('Mastodon followers:'), summary.mastoTotal);
+    console.log(`  ${summary.mastoViaBridge} (${percentOf(summary.mastoViaBridge, summary.mastoTotal)}%) are Bluesky accounts following through the bridge`);
+    console.log(`  ${summary.mastoNativeBridged} of ${summary.mastoNative} native Fediverse followers (${percentOf(summary.mastoNativeBridged, summary.mastoNative)}%) are bridged to Bluesky`);
+    if (summary.mastoUnknown > 0) {
+        console.log(chalk.yellow(`  ${summary.mastoUnknown} could not be checked because of network errors or rate limits`));
+    }
+    console.log('');
+    for (const verdict of summary.verdicts) {
+        console.log(chalk.bold.green(verdict));
+    }
+}
+
+// Write all classified followers to CSV
+function writeReachCsv(rows, csvPath) {
+    const lines = ['Side,Follower,Type,Bridged,Bridge,Profile URL'];
+    for (const row of rows) {
+        lines.push([row.side, row.follower, row.type, row.bridged, row.bridge, row.profileUrl].map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+    }
+    fs.writeFileSync(csvPath, lines.join('\n') + '\n', 'utf8');
+    console.log(chalk.green(`Followers reach list saved as ${csvPath} (${rows.length} entries).`));
+}
+
+// Write the reach summary and an interactive table of each follower list. Bridged followers can be
+// exported with the address of their account on the other network.
+function writeReachHtml(summary, rows, htmlPath, exportName) {
+    const columns = [
+        { label: 'Follower', cell: row => `${linkHtml(row.profileUrl, row.follower)}${copyButton(row.follower)}` },
+        { label: 'Type', cell: row => escapeHtml(row.type) },
+        { label: 'Bridged', cell: row => escapeHtml(row.bridged), className: row => row.statusClass },
+        { label: 'Bridge', cell: row => escapeHtml(row.bridge) },
+        { label: 'Account on the other network', cell: row => (row.bridgedAddress ? `${escapeHtml(row.bridgedAddress)}${copyButton(row.bridgedAddress)}` : '') }
+    ];
+    const tableRow = (row) => {
+        const ownAddress = row.follower === 'handle.invalid' ? '' : row.follower;
+        return {
+            ...row,
+            statusClass: row.bridged === 'yes' ? 'status-green' : (row.bridged === 'unknown' ? 'status-orange' : 'status-red'),
+            blueskyHandle: row.side === 'Bluesky' ? ownAddress : (row.bridgedAddress || ''),
+            mastodonAddress: row.side === 'Mastodon' ? ownAddress : (row.bridgedAddress || '')
+        };
+    };
+    const section = (title, side) => {
+        const sectionRows = rows.filter(row => row.side === side).map(tableRow);
+        return `
+  <h2>${escapeHtml(`${title} (${sectionRows.length})`)}</h2>
+  ${sectionRows.length
+        ? resultsTable({
+            columns,
+            rows: sectionRows,
+            filters: { 'status-green': 'Bridged', 'status-red': 'Not bridged', 'status-orange': 'Could not check' },
+            exportName: `${exportName}-${side.toLowerCase()}-followers`
+        })
+        : '<div class="count">None.</div>'}`;
+    };
+
+    const html = reportPage('Fediverse Radar: Followers Reach', `
+  ${summary.verdicts.map(verdict => `<p class="status-green">${escapeHtml(verdict)}</p>`).join('\n  ')}
+  <table>
+    <tr><th></th><th>Bluesky followers</th><th>Mastodon followers</th></tr>
+    <tr><td>Total</td><td>${summary.bskyTotal}</td><td>${summary.mastoTotal}</td></tr>
+    <tr><td>Following through the bridge</td><td>${summary.bskyViaBridge} (${percentOf(summary.bskyViaBridge, summary.bskyTotal)}%)</td><td>${summary.mastoViaBridge} (${percentOf(summary.mastoViaBridge, summary.mastoTotal)}%)</td></tr>
+    <tr><td>Native accounts bridged to the other network</td><td>${summary.bskyNativeBridged} of ${summary.bskyNative} (${percentOf(summary.bskyNativeBridged, summary.bskyNative)}%)</td><td>${summary.mastoNativeBridged} of ${summary.mastoNative} (${percentOf(summary.mastoNativeBridged, summary.mastoNative)}%)</td></tr>
+  </table>
+  ${section('Bluesky followers', 'Bluesky')}
+  ${section('Mastodon followers', 'Mastodon')}`);
+
+    fs.writeFileSync(htmlPath, html, 'utf8');
+    console.log(chalk.green(`HTML report saved as ${htmlPath}.`));
+}
+
+// Main entry point: args are [blueskyHandleOrDid, '-m', mastodonAccountOrFollowersCsv].
+// Returns the run's outputs (see runOutputs.js), or undefined if it stopped before writing any.
+async function main(args = process.argv.slice(2)) {
+    const bskyActor = args[0];
+    const mIndex = args.indexOf('-m');
+    const mastoSource = mIndex !== -1 ? args[mIndex + 1] : null;
+    if (!bskyActor || !mastoSource) {
+        console.error(chalk.red('A Bluesky handle and a Mastodon account or followers CSV are required.'));
+        interaction.markFatal();
+        return;
+    }
+    lookupCache.configure(args);
+    http.configure(args);
+    try {
+        bridgeProviders.configure(args);
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        return;
+    }
+    const token = process.env.MASTODON_ACCESS_TOKEN || null;
+    const mastoIsCsv = fs.existsSync(mastoSource);
+
+    let bskyFollowers;
+    let ownAccount = null;
+    let mastoAddresses;
+    try {
+        console.log(chalk.cyan(`Fetching Bluesky followers of ${bskyActor}...`));
+        bskyFollowers = await fetchFollowers(bskyActor);
+        console.log(chalk.green(`Loaded ${bskyFollowers.length} Bluesky followers.`));
+        await bridgeProviders.prepareFediverseProviders({ onProgress: bridgeFollowsProgress() });
+        // Your own account's DID and current handle, which bridges' address templates need even when a DID was passed
+        const own = await checkAccountExists(bskyActor);
+        if (own.exists) ownAccount = { did: own.did, handle: own.handle.toLowerCase() };
+
+        if (mastoIsCsv) {
+            mastoAddresses = readFollowersCsv(mastoSource);
+        } else {
+            console.log(chalk.cyan(`Fetching Mastodon followers of ${mastoSource}...`));
+            mastoAddresses = await fetchAccountList(mastoSource, 'followers', { token });
+        }
+        console.log(chalk.green(`Loaded ${mastoAddresses.length} Mastodon followers.`));
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        return;
+    }
+
+    const bskyRows = await classifyBlueskyFollowers(bskyFollowers);
+    const mastoRows = await classifyMastodonFollowers(mastoAddresses);
+
+    // Our own accounts: the Bluesky one is bridged if a provider bridges it, the Mastodon one if it resolves to a bridged Bluesky account
+    let ownBskyBridged = null;
+    if (ownAccount) {
+        const ownBridge = await bridgeProviders.findFediverseBridge(ownAccount, { verified: !isInvalidHandle(ownAccount.handle) });
+        ownBskyBridged = ownBridge.outcome === http.UNKNOWN ? null : Boolean(ownBridge.provider);
+    }
+    let ownMastoBridged = null;
+    if (!mastoIsCsv) {
+        const ownCheck = await bridgeProviders.resolveBlueskyAccount(mastoSource);
+        ownMastoBridged = ownCheck.outcome === http.UNKNOWN ? null : ownCheck.exists;
+    }
+
+    const summary = summarizeReach(bskyRows, mastoRows, ownBskyBridged, ownMastoBridged);
+    if ([...bskyRows, ...mastoRows].some(row => row.bridged === 'unknown')) interaction.markPartialFailure();
+    printReachSummary(summary);
+    const rows = [...bskyRows, ...mastoRows];
+    const outputs = runOutputs.start('followersReach', args);
+    writeReachCsv(rows, outputs.path('results.csv'));
+    outputs.add('results', outputs.path('results.csv'));
+    writeReachHtml(summary, rows, outputs.path('report.html'), outputs.id);
+    outputs.add('report', outputs.path('report.html'));
+    outputs.finish();
+
+    lookupCache.save();
+    lookupCache.printStats();
+    return outputs;
+}
+
+module.exports = main;
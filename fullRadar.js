@@ -0,0 +1,224 @@
+const fs = require('fs');
+const chalk = require('chalk').default;
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const interaction = require('./interaction.js');
+const bridgeProviders = require('./bridgeProviders.js');
+const radar = require('./radar.js');
+const { parseAccountAddress } = require('./mastodonApi.js');
+const { loadMastodonFollows } = require('./mastodonSource.js');
+const { drawProgressBar, bridgeFollowsProgress } = require('./cliProgress.js');
+const { isReachable, coverageStats, showBridgedPercentage } = require('./coverage.js');
+const runOutputs = require('./runOutputs.js');
+const { escapeHtml, linkHtml, copyButton, resultsTable, reportPage } = require('./reportHtml.js');
+
+// Full radar: both conversions for one person, their Bluesky account and their Mastodon account (or
+// its following CSV or account archive), with one dashboard of the coverage each way and a summary to share.
+
+// Progress handler for one direction's library call
+function showProgress(instance, repo) {
+    const showBridgeFollows = bridgeFollowsProgress();
+    return (event) => {
+        if (event.stage === 'follows' && event.done === 0 && event.total === null) {
+            console.log(chalk.cyan(repo ? 'Reading your Bluesky follows from the repo export...' : 'Fetching your Bluesky follows...'));
+        } else if (event.stage === 'follows' && event.total !== null) {
+            console.log(chalk.green(`Loaded ${event.total} followed accounts.`));
+        } else if (event.stage === 'bridgeFollows') {
+            showBridgeFollows(event);
+        } else if (event.stage === 'crossReference' && event.done === 0) {
+            console.log(chalk.cyan('Looking for native accounts in your follows\' profiles...'));
+        } else if (event.stage === 'accounts' && event.done > 0) {
+            drawProgressBar(event.done, event.total);
+        } else if (event.stage === 'accounts' && event.total === 0) {
+            process.stdout.write('\n');
+        } else if (event.stage === 'instance' && event.done === 0 && event.total > 0) {
+            console.log(chalk.cyan(`Looking up ${event.total} bridged account${event.total === 1 ? '' : 's'} on ${instance}...`));
+        }
+    };
+}
+
+// Dashboard rows for one direction's records; the export addresses are those you'd follow with
+function dashboardRow(record) {
+    const { source, target, checks } = record;
+    const row = {
+        record,
+        statusClass: { bridged: 'status-green', native_account: 'status-purple', not_bridged: 'status-red', could_not_check: 'status-orange' }[record.status],
+        status: { bridged: 'Bridged', native_account: 'Native account', not_bridged: 'Not bridged', could_not_check: 'Could not check' }[record.status]
+    };
+    if (record.direction === 'mastoToBsky') {
+        row.mastodonAddress = source.address;
+        row.blueskyHandle = target ? target.address : '';
+    } else {
+        row.blueskyHandle = checks.handleVerified === false ? source.did : source.address;
+        // Unverified handles give a guessed bridged address, and blocked bridges can't be followed, so
+        // there's nothing to export for them
+        row.mastodonAddress = target && isReachable(record) && (record.status === 'native_account' || checks.handleVerified) ? target.address : '';
+    }
+    return row;
+}
+
+// Interactive tables of one direction: reachable accounts you don't follow yet, then unreachable ones
+function directionHtml(stats, records, exportName) {
+    const rows = records.map(dashboardRow);
+    const reachable = rows.filter(row => isReachable(row.record) && row.record.checks.followed !== true);
+    const unreachable = rows.filter(row => !isReachable(row.record));
+    const columns = [
+        { label: `${stats.from} account`, cell: row => `${linkHtml(row.record.source.profileUrl, row.record.source.address)}${copyButton(row.record.source.address)}` },
+        { label: `${stats.to} account`, cell: row => (row.record.target ? `${linkHtml(row.record.target.profileUrl, row.record.target.address)}${copyButton(row.record.target.address)}` : '') },
+        { label: 'Status', cell: row => escapeHtml(row.status), className: row => row.statusClass },
+        { label: 'Bridge', cell: row => escapeHtml(bridgeProviders.bridgeName(row.record.bridge)) },
+        { label: 'Note', cell: row => escapeHtml(row.record.note || ''), sortable: false },
+        {
+            label: 'Diagnosis',
+            cell: row => (row.record.diagnosis ? `${escapeHtml(row.record.diagnosis.detail)}<br>${escapeHtml(row.record.diagnosis.action)}` : ''),
+            sortable: false
+        }
+    ];
+    const table = (tableRows, name) => (tableRows.length
+        ? resultsTable({
+            columns,
+            rows: tableRows,
+            filters: { 'status-green': 'Bridged', 'status-purple': 'Native account', 'status-red': 'Not bridged', 'status-orange': 'Could not check' },
+            exportName: `${exportName}-${name}`
+        })
+        : '<div class="count">None.</div>');
+    return `
+  <h2>${escapeHtml(`${stats.from} to ${stats.to}: reachable but not followed (${reachable.length})`)}</h2>
+  <div class="count">${escapeHtml(`Accounts you follow on ${stats.from} that you can follow on ${stats.to}, but don't yet.`)}</div>
+  ${table(reachable, `${stats.direction}-reachable`)}
+  <h2>${escapeHtml(`${stats.from} to ${stats.to}: unreachable (${unreachable.length})`)}</h2>
+  <div class="count">${escapeHtml(`Accounts you follow on ${stats.from} with no ${stats.to} account found, or one your instance blocks. Accounts that could not be checked are listed too; run again to retry them.`)}</div>
+  ${table(unreachable, `${stats.direction}-unreachable`)}`;
+}
+
+// Plain-text summary to share: coverage each way, with no one else's handles in it
+function shareableSummary(bskyActor, mastoLabel, statsList) {
+    const lines = [`Fediverse Radar for ${bskyActor} and ${mastoLabel} (${new Date().toISOString().slice(0, 10)})`];
+    for (const stats of statsList) {
+        let line = `${stats.from} to ${stats.to}: ${stats.reachable} of the ${stats.total} accounts I follow on ${stats.from} (${stats.percent}%) can be followed from ${stats.to}`;
+        if (stats.followed !== null) line += `, and I follow ${stats.followed} of them there`;
+        lines.push(`${line}.`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Write the dashboard: coverage each way, the summary with a copy button, then each direction's lists
+function writeDashboardHtml(statsList, recordsList, summaryText, outputs, htmlPath) {
+    const cell = (stats, key) => (stats[key] === null ? 'not checked' : String(stats[key]));
+    const html = reportPage('Fediverse Radar: Full Radar', `
+  <table>
+    <tr><th></th>${statsList.map(stats => `<th>${escapeHtml(`${stats.from} to ${stats.to}`)}</th>`).join('')}</tr>
+    <tr><td>Follows checked</td>${statsList.map(stats => `<td>${stats.total}</td>`).join('')}</tr>
+    <tr><td>Reachable on the other network</td>${statsList.map(stats => `<td class="status-green">${stats.reachable} (${stats.percent}%)</td>`).join('')}</tr>
+    <tr><td>Already followed there</td>${statsList.map(stats => `<td>${cell(stats, 'followed')}</td>`).join('')}</tr>
+    <tr><td>Reachable but not followed</td>${statsList.map(stats => `<td>${cell(stats, 'notFollowed')}</td>`).join('')}</tr>
+    <tr><td>Unreachable</td>${statsList.map(stats => `<td class="status-red">${stats.unreachable}</td>`).join('')}</tr>
+    <tr><td>Could not check</td>${statsList.map(stats => `<td class="status-orange">${stats.unchecked}</td>`).join('')}</tr>
+  </table>
+  <h2>Summary to share</h2>
+  <pre>${escapeHtml(summaryText)}</pre>
+  <button type="button" class="copy" data-copy="${escapeHtml(summaryText)}">Copy</button>
+  ${statsList.map((stats, i) => directionHtml(stats, recordsList[i], outputs.id)).join('\n')}`);
+    fs.writeFileSync(htmlPath, html, 'utf8');
+    console.log(chalk.green(`Dashboard saved as ${htmlPath}.`));
+}
+
+// Main entry point: args are [blueskyHandleOrDid, '-m', mastodonAccountCsvOrArchive] (see mastodonSource.js),
+// with --instance for your Mastodon instance when the follows come from a CSV.
+// Returns the run's outputs (see runOutputs.js), or undefined if it stopped before writing any.
+async function main(args = process.argv.slice(2)) {
+    const bskyActor = args[0];
+    const mIndex = args.indexOf('-m');
+    const mastoSource = mIndex !== -1 ? args[mIndex + 1] : null;
+    if (!bskyActor || !mastoSource) {
+        console.error(chalk.red('A Bluesky handle and a Mastodon account, following CSV or account archive are required.'));
+        interaction.markFatal();
+        return;
+    }
+    lookupCache.configure(args);
+    http.configure(args);
+    interaction.configure(args);
+    try {
+        bridgeProviders.configure(args);
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        return;
+    }
+    const token = process.env.MASTODON_ACCESS_TOKEN || null;
+    const crossReference = args.includes('--cross-reference');
+    // Your Bluesky follows can come from a repo export (--repo FILE) instead of the API
+    const repoIndex = args.indexOf('--repo');
+    const repo = repoIndex !== -1 ? args[repoIndex + 1] : null;
+    if (repoIndex !== -1 && (!repo || !fs.existsSync(repo))) {
+        console.error(chalk.red(`Repo export not found: ${repo || '(no file given after --repo)'}`));
+        interaction.markFatal();
+        return;
+    }
+
+    let mastoAccount;
+    let mastoFollows;
+    try {
+        ({ account: mastoAccount, addresses: mastoFollows } = await loadMastodonFollows(mastoSource, { token }));
+        console.log(chalk.green(`Loaded ${mastoFollows.length} Mastodon follows.`));
+    } catch (err) {
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        return;
+    }
+
+    // Your instance: --instance, the Mastodon account's own, or asked for
+    const instanceIndex = args.indexOf('--instance');
+    const defaultInstance = 'mastodon.social';
+    let instance = instanceIndex !== -1 && args[instanceIndex + 1] ? args[instanceIndex + 1] : null;
+    if (!instance && mastoAccount) instance = parseAccountAddress(mastoAccount).instance;
+    if (!instance) instance = interaction.ask(`Enter your Mastodon instance for profile links [${defaultInstance}]: `, defaultInstance);
+
+    const outputs = runOutputs.start('fullRadar', args);
+    let mastoResult;
+    let bskyResult;
+    try {
+        console.log(chalk.bold.cyan('\n=== Mastodon to Bluesky ==='));
+        mastoResult = await radar.findBridgedFromMastodon({ accounts: mastoFollows, bskyActor, repo, crossReference, onProgress: showProgress(instance, repo) });
+        console.log(chalk.bold.cyan('\n=== Bluesky to Mastodon ==='));
+        bskyResult = await radar.findBridgedFromBluesky({
+            actor: bskyActor,
+            instance,
+            followedAddresses: mastoFollows,
+            repo,
+            crossReference,
+            onWarning: message => console.warn(chalk.yellow(message)),
+            onProgress: showProgress(instance, repo)
+        });
+    } catch (err) {
+        // A partial follow or bridge list would misreport coverage, so stop here
+        process.stdout.write('\n');
+        console.error(chalk.red(err.message));
+        interaction.markFatal();
+        outputs.finish();
+        return outputs;
+    }
+
+    const recordsList = [mastoResult.records, bskyResult.records];
+    const statsList = [coverageStats('mastoToBsky', mastoResult.records), coverageStats('bskyToMasto', bskyResult.records)];
+    statsList.forEach(showBridgedPercentage);
+    if (statsList.some(stats => stats.unchecked > 0)) {
+        console.warn(chalk.yellow('Some accounts could not be checked because of network errors or rate limits. Run again to retry them.'));
+        interaction.markPartialFailure();
+    }
+
+    const summaryText = shareableSummary(bskyActor, mastoAccount || 'my Mastodon account', statsList);
+    console.log(chalk.bold('\nSummary to share:\n') + summaryText);
+    fs.writeFileSync(outputs.path('summary.txt'), summaryText, 'utf8');
+    outputs.add('summary', outputs.path('summary.txt'));
+    console.log(chalk.green(`Summary saved as ${outputs.path('summary.txt')}.`));
+    writeDashboardHtml(statsList, recordsList, summaryText, outputs, outputs.path('dashboard.html'));
+    outputs.add('report', outputs.path('dashboard.html'));
+    outputs.finish();
+
+    lookupCache.save();
+    lookupCache.printStats();
+    return outputs;
+}
+
+module.exports = main;
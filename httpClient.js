@@ -0,0 +1,256 @@
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Outcomes of an existence check; "unknown" means the check itself failed and must not be read as "not found"
+const FOUND = 'found';
+const NOT_FOUND = 'not-found';
+const UNKNOWN = 'unknown';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+// Longest we'll honor a server-requested wait before giving up on a request
+const MAX_RATE_LIMIT_WAIT_MS = 5 * 60 * 1000;
+
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENETUNREACH', 'ECONNREFUSED', 'EPIPE', 'ERR_NETWORK']);
+
+let settings = {
+    concurrency: parseInt(process.env.HTTP_CONCURRENCY, 10) || 4,
+    maxRetries: 4
+};
+
+// Hosts that told us to wait, mapped to the time we may send again
+const hostPausedUntil = new Map();
+let activeRequests = 0;
+const waitingRequests = [];
+
+// AbortSignal of the library call a request belongs to (see withSignal)
+const signalStorage = new AsyncLocalStorage();
+
+function currentSignal() {
+    return signalStorage.getStore() || null;
+}
+
+// Run fn with an AbortSignal that every request, wait and mapWithConcurrency inside it honors,
+// so lookups deep in the helpers don't each need a signal parameter
+function withSignal(signal, fn) {
+    return signal ? signalStorage.run(signal, fn) : fn();
+}
+
+// Throw the abort reason if the current call has been aborted
+function throwIfAborted() {
+    const signal = currentSignal();
+    if (signal) signal.throwIfAborted();
+}
+
+// Wait ms milliseconds; rejects with the abort reason as soon as the current call is aborted (see withSignal)
+function sleep(ms) {
+    const signal = currentSignal();
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Read --concurrency N and --retries N from CLI args
+function configure(args = []) {
+    const concurrencyIndex = args.indexOf('--concurrency');
+    if (concurrencyIndex !== -1 && parseInt(args[concurrencyIndex + 1], 10) > 0) {
+        settings.concurrency = parseInt(args[concurrencyIndex + 1], 10);
+    }
+    const retriesIndex = args.indexOf('--retries');
+    if (retriesIndex !== -1 && parseInt(args[retriesIndex + 1], 10) >= 0) {
+        settings.maxRetries = parseInt(args[retriesIndex + 1], 10);
+    }
+}
+
+function getConcurrency() {
+    return settings.concurrency;
+}
+
+// Wait for a free request slot
+async function acquireSlot() {
+    if (activeRequests < settings.concurrency) {
+        activeRequests++;
+        return;
+    }
+    await new Promise(resolve => waitingRequests.push(resolve));
+}
+
+// Hand the slot to the next waiting request, or free it
+function releaseSlot() {
+    const next = waitingRequests.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests--;
+    }
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (err) {
+        return '';
+    }
+}
+
+// Parse a reset header that may be seconds-from-now, epoch seconds or an HTTP/ISO date
+function parseResetHeader(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isNaN(number)) {
+        // Values past 2001 in seconds are epoch timestamps, smaller ones are deltas
+        return number > 1e9 ? number * 1000 - Date.now() : number * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : date - Date.now();
+}
+
+// How long the server asks us to wait, from Retry-After or ratelimit-* headers
+function rateLimitDelay(headers = {}) {
+    const retryAfter = parseResetHeader(headers['retry-after']);
+    if (retryAfter !== null) return Math.max(0, retryAfter);
+    const remaining = headers['ratelimit-remaining'] !== undefined ? headers['ratelimit-remaining'] : headers['x-ratelimit-remaining'];
+    if (remaining !== undefined && Number(remaining) <= 0) {
+        const reset = parseResetHeader(headers['ratelimit-reset'] !== undefined ? headers['ratelimit-reset'] : headers['x-ratelimit-reset']);
+        if (reset !== null) return Math.max(0, reset);
+    }
+    return null;
+}
+
+// Pause further requests to a host until its rate limit resets
+function pauseHost(host, delayMs) {
+    const until = Date.now() + delayMs;
+    if ((hostPausedUntil.get(host) || 0) < until) hostPausedUntil.set(host, until);
+}
+
+async function waitForHost(host) {
+    const until = hostPausedUntil.get(host);
+    if (until && until > Date.now()) await sleep(until - Date.now());
+}
+
+// Whether a failed request is worth retrying: only TRANSIENT_STATUSES and TRANSIENT_CODES are. Aborts and
+// anything else, such as a bug in the code that made the request, are raised at once.
+function isTransient(err) {
+    if (err.name === 'AbortError' || err.name === 'CanceledError') return false;
+    if (err.response) return TRANSIENT_STATUSES.has(err.response.status);
+    return TRANSIENT_CODES.has(err.code);
+}
+
+function backoffDelay(attempt) {
+    const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    return exponential / 2 + Math.random() * exponential / 2;
+}
+
+// Send a request through the shared layer: bounded concurrency, rate-limit pauses and retries.
+// Non-GET requests are only retried on 429, since the server didn't process them.
+async function request(config) {
+    const method = (config.method || 'get').toLowerCase();
+    const host = hostOf(config.url);
+    const signal = currentSignal();
+    let attempt = 0;
+    while (true) {
+        throwIfAborted();
+        await waitForHost(host);
+        await acquireSlot();
+        let response;
+        let error;
+        try {
+            response = await axios.request({ timeout: DEFAULT_TIMEOUT_MS, ...(signal ? { signal } : {}), ...config });
+        } catch (err) {
+            error = err;
+        } finally {
+            releaseSlot();
+        }
+
+        const headers = (response || (error && error.response) || {}).headers;
+        const serverDelay = rateLimitDelay(headers);
+        if (serverDelay !== null && serverDelay > 0) pauseHost(host, Math.min(serverDelay, MAX_RATE_LIMIT_WAIT_MS));
+        if (!error) return response;
+        // An aborted call fails with its abort reason, not as a network error a caller could read as "couldn't check"
+        throwIfAborted();
+
+        const retryable = method === 'get' ? isTransient(error) : Boolean(error.response && error.response.status === 429);
+        if (!retryable || attempt >= settings.maxRetries || (serverDelay !== null && serverDelay > MAX_RATE_LIMIT_WAIT_MS)) {
+            throw error;
+        }
+        attempt++;
+        if (serverDelay === null) await sleep(backoffDelay(attempt));
+    }
+}
+
+function get(url, config = {}) {
+    return request({ ...config, url, method: 'get' });
+}
+
+function post(url, data, config = {}) {
+    return request({ ...config, url, data, method: 'post' });
+}
+
+// Check whether a resource exists, keeping "not found" apart from "couldn't check".
+// Returns { outcome: FOUND | NOT_FOUND | UNKNOWN, response, error }; throws only when aborted.
+async function checkExists(url, { notFoundStatuses = [404], ...config } = {}) {
+    try {
+        const response = await get(url, config);
+        return { outcome: FOUND, response };
+    } catch (err) {
+        throwIfAborted();
+        if (err.response && notFoundStatuses.includes(err.response.status)) {
+            return { outcome: NOT_FOUND, response: err.response };
+        }
+        return { outcome: UNKNOWN, error: err };
+    }
+}
+
+// Run an async function over items with at most `limit` in flight, preserving order.
+// No new items are started once the current call is aborted.
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            throwIfAborted();
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+// Describe a failed request for logs and reports
+function describeError(err) {
+    if (err.response) {
+        const data = err.response.data || {};
+        const message = data.message || data.error;
+        return message ? `HTTP ${err.response.status}: ${message}` : `HTTP ${err.response.status}`;
+    }
+    return err.code ? `${err.code}: ${err.message}` : err.message;
+}
+
+module.exports = {
+    FOUND,
+    NOT_FOUND,
+    UNKNOWN,
+    configure,
+    getConcurrency,
+    request,
+    get,
+    post,
+    checkExists,
+    mapWithConcurrency,
+    withSignal,
+    throwIfAborted,
+    sleep,
+    describeError
+};
@@ -0,0 +1,74 @@
+const readlineSync = require('readline-sync');
+const chalk = require('chalk').default;
+
+// Exit codes, so a scheduled run can tell a clean run from one that needs a look
+const EXIT_SUCCESS = 0;
+const EXIT_FATAL = 1;    // The run stopped early; its reports are missing or incomplete
+const EXIT_PARTIAL = 2;  // The run finished, but some accounts couldn't be checked or followed
+
+let options = { yes: false, noOpen: false, keepFiles: false };
+
+// Set prompt behaviour from CLI args: --yes answers every question without reading stdin,
+// --no-open never opens reports and --keep-files never cleans up generated files
+function configure(args = []) {
+    options = {
+        yes: args.includes('--yes'),
+        noOpen: args.includes('--no-open'),
+        keepFiles: args.includes('--keep-files')
+    };
+}
+
+function isHeadless() {
+    return options.yes;
+}
+
+// Ask a yes/no question; in headless mode the answer is yes
+function confirm(question) {
+    if (options.yes) {
+        console.log(`${chalk.yellow(question)} y (--yes)`);
+        return true;
+    }
+    return readlineSync.keyInYNStrict(chalk.yellow(question));
+}
+
+// Ask for a value, falling back to the default; in headless mode the default is used without asking
+function ask(question, defaultValue = '', { hideEchoBack = false } = {}) {
+    if (options.yes) return defaultValue;
+    return readlineSync.question(chalk.bold(question), { hideEchoBack }).trim() || defaultValue;
+}
+
+function shouldOpenReport(fileName) {
+    return !options.noOpen && confirm(`Open the HTML report (${fileName}) in your browser?`);
+}
+
+function keepsFiles() {
+    return options.keepFiles;
+}
+
+function shouldCleanUp() {
+    return !options.keepFiles && confirm('Would you like to clean up generated files?');
+}
+
+// Record that part of the run failed, without hiding an earlier fatal error
+function markPartialFailure() {
+    if (!process.exitCode) process.exitCode = EXIT_PARTIAL;
+}
+
+function markFatal() {
+    process.exitCode = EXIT_FATAL;
+}
+
+module.exports = {
+    EXIT_SUCCESS,
+    EXIT_FATAL,
+    EXIT_PARTIAL,
+    configure,
+    isHeadless,
+    confirm,
+    ask,
+    shouldOpenReport,
+    keepsFiles,
+    shouldCleanUp,
+    markPartialFailure,
+    markFatal
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const chalk = require('chalk').default;
+
+// Bump when a field is removed or changes meaning; adding fields keeps the version
+const SCHEMA_VERSION = 1;
+
+// Every record's status is one of these; see "Machine-Readable Output" in the README
+const STATUSES = ['bridged', 'not_bridged', 'could_not_check', 'native_account'];
+
+const FORMATS = ['json', 'ndjson'];
+
+// Read --format json|ndjson and --output FILE (or - for stdout) from CLI args; output is null when
+// the records go to the run's own results file. Returns null when no machine-readable output was
+// asked for; throws on an unknown format.
+function parseFormatArgs(args) {
+    const formatIndex = args.indexOf('--format');
+    if (formatIndex === -1) return null;
+    const format = (args[formatIndex + 1] || '').toLowerCase();
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown --format "${args[formatIndex + 1] || ''}": use ${FORMATS.join(' or ')}.`);
+    }
+    const outputIndex = args.indexOf('--output');
+    const output = outputIndex !== -1 && args[outputIndex + 1] ? args[outputIndex + 1] : null;
+    return { format, output };
+}
+
+// Build a record in the versioned schema. source and target are { network, address, did, profileUrl };
+// target is null when there is no account on the other network. diagnosis is { code, detail, action }
+// (see reachability.js) for bridged accounts that can't simply be followed yet. profile describes the
+// target account (see profileMetadata.js) when profiles were fetched.
+function buildRecord(direction, { source, target = null, status, bridge = null, matchedBy = null, checks = {}, native = null, note = null, diagnosis = null, profile = null }) {
+    if (!STATUSES.includes(status)) throw new Error(`Unknown record status "${status}"`);
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        direction,
+        source: { did: null, ...source },
+        target: target ? { did: null, ...target } : null,
+        status,
+        bridge: bridge || null,
+        matchedBy: matchedBy || null,
+        checks,
+        native: native ? { address: native.address, did: native.did || null, confidence: native.confidence, evidence: native.evidence } : null,
+        note: note || null,
+        diagnosis: diagnosis || null,
+        profile: profile || null
+    };
+}
+
+// Original stdout writer, once records have claimed stdout
+let recordStdout = null;
+
+// Keep stdout for records: every other console write goes to stderr from now on. Returns the
+// original stdout writer; calling it again returns the same writer.
+function claimStdout() {
+    if (!recordStdout) {
+        recordStdout = process.stdout.write.bind(process.stdout);
+        process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+    return recordStdout;
+}
+
+// Whether CLI args send records to stdout (--format with --output -)
+function writesToStdout(args) {
+    const outputIndex = args.indexOf('--output');
+    return args.includes('--format') && outputIndex !== -1 && args[outputIndex + 1] === '-';
+}
+
+// Create a writer for the records of one run (see runOutputs.js). NDJSON is written one line per
+// record as soon as it is known; JSON is written as one document when the writer is closed. Without
+// --output the records go to the run's results.json or results.ndjson. Writing to stdout (--output -)
+// moves all other console output to stderr, so the stream can be piped straight into jq.
+function createWriter(args, direction, outputs) {
+    const options = parseFormatArgs(args);
+    if (!options) return null;
+    const toStdout = options.output === '-';
+    let writeOut;
+    if (toStdout) {
+        writeOut = claimStdout();
+    } else {
+        // A file named with --output is the user's: it's listed in the manifest but kept on cleanup
+        if (!options.output) {
+            options.output = outputs.path(`results.${options.format}`);
+            outputs.add('records', options.output);
+        } else {
+            outputs.add('records', options.output, { keep: true });
+        }
+        fs.writeFileSync(options.output, '', 'utf8');
+        writeOut = text => fs.appendFileSync(options.output, text, 'utf8');
+    }
+    const records = [];
+    return {
+        write(record) {
+            if (options.format === 'ndjson') {
+                writeOut(JSON.stringify(record) + '\n');
+            } else {
+                records.push(record);
+            }
+        },
+        close() {
+            if (options.format === 'json') {
+                const document = { schemaVersion: SCHEMA_VERSION, direction, generatedAt: new Date().toISOString(), records };
+                writeOut(JSON.stringify(document, null, 2) + '\n');
+            }
+            if (!toStdout) console.log(chalk.green(`${options.format.toUpperCase()} results saved as ${options.output}.`));
+        }
+    };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    STATUSES,
+    parseFormatArgs,
+    claimStdout,
+    writesToStdout,
+    buildRecord,
+    createWriter
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk').default;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long each kind of lookup stays fresh
+const TTLS = {
+    bskyProfile: 7 * DAY,         // Bluesky account exists (blueskyApi checkAccountExists)
+    bridgedAccount: 3 * DAY,      // Mastodon account → bridged Bluesky account (bridgyFed resolveBridgedAccount)
+    instanceProfile: DAY,         // Account known to a Mastodon instance (accounts/lookup)
+    bridgyFedProfile: 3 * DAY,    // Account bridged according to fed.brid.gy
+    bridgeStatus: 3 * DAY,        // Account bridged according to a provider from the bridges file
+    bridgeFollowDids: 12 * HOUR,  // DIDs of every account the ap.brid.gy bridge account follows
+    handleDid: DAY,               // Bluesky handle → DID (com.atproto.identity.resolveHandle)
+    didHandle: DAY,               // DID → handle claimed by its DID document
+    nativeAccount: 3 * DAY,       // Native account on the other network found by the cross-reference
+    profileMetadata: 12 * HOUR    // Display name, counts and last post date of a found account (profileMetadata.js)
+};
+
+const cacheDir = process.env.FEDIVERSE_RADAR_CACHE_DIR || path.join(os.homedir(), '.fediverse-radar');
+const cacheFilePath = path.join(cacheDir, 'cache.json');
+
+// Write the cache to disk after this many new entries, so an interrupted run keeps its work
+const SAVE_EVERY = 50;
+
+let entries = null;
+let options = { enabled: true, refresh: false };
+let stats = { hits: 0, misses: 0, expired: 0, writes: 0 };
+let unsavedWrites = 0;
+
+// Set cache behaviour from CLI args: --no-cache disables it, --refresh ignores cached values but stores new ones
+function configure(args = []) {
+    options = {
+        enabled: !args.includes('--no-cache'),
+        refresh: args.includes('--refresh')
+    };
+    stats = { hits: 0, misses: 0, expired: 0, writes: 0 };
+}
+
+// Load the cache file on first use
+function load() {
+    if (entries) return entries;
+    entries = {};
+    if (fs.existsSync(cacheFilePath)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(cacheFilePath, 'utf8'));
+        } catch (err) {
+            console.warn(chalk.yellow(`Ignoring unreadable cache file ${cacheFilePath}: ${err.message}`));
+            entries = {};
+        }
+    }
+    return entries;
+}
+
+function cacheKey(type, target) {
+    return `${type}:${String(target).toLowerCase()}`;
+}
+
+// Look up a fresh cached value; returns { hit: true, value } or { hit: false }
+function get(type, target) {
+    if (!options.enabled || options.refresh) {
+        stats.misses++;
+        return { hit: false };
+    }
+    const entry = load()[cacheKey(type, target)];
+    if (!entry) {
+        stats.misses++;
+        return { hit: false };
+    }
+    const ttl = TTLS[type] || DAY;
+    if (Date.now() - entry.storedAt > ttl) {
+        stats.expired++;
+        return { hit: false };
+    }
+    stats.hits++;
+    return { hit: true, value: entry.value };
+}
+
+// Store a value for a lookup type and target
+function set(type, target, value) {
+    if (!options.enabled) return;
+    load()[cacheKey(type, target)] = { storedAt: Date.now(), value };
+    stats.writes++;
+    unsavedWrites++;
+    if (unsavedWrites >= SAVE_EVERY) save();
+}
+
+// Return the cached value, or run the lookup and cache its result.
+// shouldCache lets callers skip caching results that only reflect a failed request.
+async function wrap(type, target, lookup, shouldCache = () => true) {
+    const cached = get(type, target);
+    if (cached.hit) return cached.value;
+    const value = await lookup();
+    if (shouldCache(value)) set(type, target, value);
+    return value;
+}
+
+// Drop expired entries and write the cache to disk
+function save() {
+    if (!options.enabled || !entries) return;
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(entries)) {
+        const ttl = TTLS[key.split(':')[0]] || DAY;
+        if (now - entry.storedAt > ttl) delete entries[key];
+    }
+    try {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        const tmpPath = `${cacheFilePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(entries), 'utf8');
+        fs.renameSync(tmpPath, cacheFilePath);
+        unsavedWrites = 0;
+    } catch (err) {
+        console.warn(chalk.yellow(`Could not save lookup cache: ${err.message}`));
+    }
+}
+
+// Print a one-line summary of how the cache was used during this run
+function printStats() {
+    if (!options.enabled) {
+        console.log(chalk.gray('Lookup cache disabled (--no-cache).'));
+        return;
+    }
+    const lookups = stats.hits + stats.misses + stats.expired;
+    const hitRate = lookups > 0 ? ((stats.hits / lookups) * 100).toFixed(1) : '0.0';
+    console.log(chalk.gray(
+        `Lookup cache: ${stats.hits} hits, ${stats.misses} misses, ${stats.expired} expired, ${stats.writes} stored (${hitRate}% hit rate${options.refresh ? ', refreshed' : ''}) — ${cacheFilePath}`
+    ));
+}
+
+module.exports = {
+    TTLS,
+    cacheFilePath,
+    configure,
+    get,
+    set,
+    wrap,
+    save,
+    printStats
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const http = require('./httpClient.js');
+const { parse } = require('csv-parse/sync');
+const chalk = require('chalk').default;
+const interaction = require('./interaction.js');
+const bridgeProviders = require('./bridgeProviders.js');
+const { printFollowPreview, writeFollowLog } = require('./bskyFollow.js');
+const { isReachable } = require('./coverage.js');
+
+const OAUTH_REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob';
+// The list scopes let the same authorization keep a list of the bridged accounts (see mastoList.js)
+const OAUTH_SCOPES = 'read:accounts read:search write:follows read:lists write:lists';
+
+// Default pause between follows; Mastodon allows a limited number of follows per day.
+// Rate-limit headers are honored by the shared request layer on top of this.
+const DEFAULT_THROTTLE_MS = 1000;
+
+// Register an OAuth app on the instance so the user can authorize it in the browser
+async function registerApp(instance) {
+    const response = await http.post(`https://${instance}/api/v1/apps`, {
+        client_name: 'Fediverse Radar',
+        redirect_uris: OAUTH_REDIRECT_URI,
+        scopes: OAUTH_SCOPES,
+        website: 'https://github.com/StraySignal/fediverse-radar'
+    });
+    return response.data;
+}
+
+// Build the URL the user opens to authorize the registered app
+function getAuthorizeUrl(instance, app) {
+    const params = new URLSearchParams({
+        client_id: app.client_id,
+        redirect_uri: OAUTH_REDIRECT_URI,
+        response_type: 'code',
+        scope: OAUTH_SCOPES
+    });
+    return `https://${instance}/oauth/authorize?${params.toString()}`;
+}
+
+// Exchange the authorization code shown by the instance for an access token
+async function exchangeAuthorizationCode(instance, app, code) {
+    const response = await http.post(`https://${instance}/oauth/token`, {
+        grant_type: 'authorization_code',
+        client_id: app.client_id,
+        client_secret: app.client_secret,
+        redirect_uri: OAUTH_REDIRECT_URI,
+        scope: OAUTH_SCOPES,
+        code: code.trim()
+    });
+    return response.data.access_token;
+}
+
+// Resolve an account address (or actor URL) to a local account id, asking the instance to fetch it if unknown
+async function resolveAccount(instance, token, address) {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (/^https?:\/\//.test(address)) {
+        const search = await http.get(`https://${instance}/api/v2/search?q=${encodeURIComponent(address)}&type=accounts&resolve=true&limit=1`, { headers });
+        return (search.data.accounts || [])[0] || null;
+    }
+    const acct = address.replace(/^@/, '');
+    const lookup = await http.checkExists(`https://${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(acct)}`, { headers });
+    if (lookup.outcome === http.FOUND) {
+        return lookup.response.data;
+    }
+    if (lookup.outcome === http.UNKNOWN) {
+        throw lookup.error;
+    }
+    const search = await http.get(`https://${instance}/api/v2/search?q=${encodeURIComponent(`@${acct}`)}&type=accounts&resolve=true&limit=1`, { headers });
+    const match = (search.data.accounts || []).find(account => account.acct.toLowerCase() === acct.toLowerCase());
+    return match || null;
+}
+
+// Check whether the token's account already follows (or has requested to follow) a local account id
+async function isAlreadyFollowing(instance, token, accountId) {
+    const response = await http.get(`https://${instance}/api/v1/accounts/relationships?id[]=${encodeURIComponent(accountId)}`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    const relationship = response.data[0];
+    return Boolean(relationship && (relationship.following || relationship.requested));
+}
+
+// Follow a local account id
+async function followAccount(instance, token, accountId) {
+    const response = await http.post(`https://${instance}/api/v1/accounts/${accountId}/follow`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+}
+
+// Read the bridged handles from a Bluesky → Mastodon accounts CSV, minus those already followed according to the Mastodon CSV
+// and those your instance can't reach (isReachable in coverage.js: the bridge is blocked, or the account opted out)
+function readFollowCandidates(accountHandlesPath, existingCsvPath = null) {
+    const records = parse(fs.readFileSync(accountHandlesPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    let alreadyFollowed = new Set();
+    if (existingCsvPath && fs.existsSync(existingCsvPath)) {
+        const existing = parse(fs.readFileSync(existingCsvPath, 'utf8'), { columns: true, skip_empty_lines: true });
+        alreadyFollowed = new Set(existing
+            .map(record => (record['Account address'] || '').replace(/^@/, '').toLowerCase())
+            .filter(Boolean));
+    }
+    // Accounts without a verified handle are followed through their bridge's actor URL instead
+    const actorUrl = record => {
+        const provider = bridgeProviders.get(record.Bridge);
+        return provider && provider.actorUrl ? provider.actorUrl(record.DID) : null;
+    };
+    // Accounts CSVs written before the Diagnosis code column have every bridged row reachable
+    const reachable = record => isReachable({
+        status: record.Status && record.Status.toLowerCase().startsWith('bridged') ? 'bridged' : 'not_bridged',
+        diagnosis: record['Diagnosis code'] ? { code: record['Diagnosis code'] } : null
+    });
+    return records
+        .filter(reachable)
+        .map(record => record.Status.includes('handle not verified') && record.DID
+            ? actorUrl(record)
+            : record.Handle.replace(/^@/, '').toLowerCase())
+        .filter(Boolean)
+        .filter(address => !address.includes('handle.invalid') && !alreadyFollowed.has(address));
+}
+
+// Follow the given bridged addresses from the Mastodon account that owns the token
+async function followBridgedAccounts(addresses, { instance, token, dryRun = false, throttleMs = DEFAULT_THROTTLE_MS, logPath } = {}) {
+    printFollowPreview(addresses, instance);
+
+    if (dryRun) {
+        console.log(chalk.yellow('Dry run: no follows were created.'));
+        writeFollowLog(addresses.map(handle => ({ handle, result: 'dry-run' })), logPath, 'Account ID');
+        return { followed: 0, skipped: 0, failed: 0, dryRun: true };
+    }
+
+    const entries = [];
+    let followed = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const address of addresses) {
+        try {
+            const account = await resolveAccount(instance, token, address);
+            if (!account) {
+                entries.push({ handle: address, result: 'failed', detail: 'Account could not be resolved' });
+                failed++;
+                console.log(chalk.red(`  failed    ${address}: could not be resolved`));
+            } else if (await isAlreadyFollowing(instance, token, account.id)) {
+                entries.push({ handle: address, id: account.id, result: 'skipped', detail: 'Already followed' });
+                skipped++;
+                console.log(chalk.gray(`  skipped   ${address} (already followed)`));
+            } else {
+                const relationship = await followAccount(instance, token, account.id);
+                if (relationship.following || relationship.requested) {
+                    entries.push({ handle: address, id: account.id, result: 'followed', detail: relationship.requested ? 'Follow requested' : '' });
+                    followed++;
+                    console.log(chalk.green(`  followed  ${address}`));
+                } else {
+                    entries.push({ handle: address, id: account.id, result: 'failed', detail: 'Instance did not confirm the follow' });
+                    failed++;
+                    console.log(chalk.red(`  failed    ${address}: instance did not confirm the follow`));
+                }
+            }
+        } catch (err) {
+            const detail = http.describeError(err);
+            entries.push({ handle: address, result: 'failed', detail });
+            failed++;
+            console.log(chalk.red(`  failed    ${address}: ${detail}`));
+        }
+        await http.sleep(throttleMs);
+    }
+
+    writeFollowLog(entries, logPath, 'Account ID');
+    console.log(chalk.bold.cyan(`\nFollowed ${followed}, skipped ${skipped} already followed, ${failed} failed.`));
+    if (failed > 0) interaction.markPartialFailure();
+    return { followed, skipped, failed, dryRun: false };
+}
+
+module.exports = {
+    registerApp,
+    getAuthorizeUrl,
+    exchangeAuthorizationCode,
+    resolveAccount,
+    isAlreadyFollowing,
+    followAccount,
+    readFollowCandidates,
+    followBridgedAccounts,
+    DEFAULT_THROTTLE_MS
+};
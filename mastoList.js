@@ -0,0 +1,149 @@
+const fs = require('fs');
+const http = require('./httpClient.js');
+const { parse } = require('csv-parse/sync');
+const chalk = require('chalk').default;
+const interaction = require('./interaction.js');
+const { resolveAccount, followAccount, readFollowCandidates, DEFAULT_THROTTLE_MS } = require('./mastoFollow.js');
+const { writeFollowLog } = require('./bskyFollow.js');
+
+// Keep the bridged accounts from Bluesky → Mastodon results in a Mastodon list, so their posts can
+// be read apart from the home timeline. The list is found again by title on later runs and only the
+// difference is written, so re-running never creates a second list.
+
+const DEFAULT_LIST_TITLE = 'Bluesky via bridge';
+
+function authHeaders(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+// Read the bridged accounts (followed or not) from a Bluesky → Mastodon accounts CSV as addresses or
+// actor URLs; unchecked is the number of accounts that couldn't be checked in that run
+function readListCandidates(accountsCsvPath) {
+    const records = parse(fs.readFileSync(accountsCsvPath, 'utf8'), { columns: true, skip_empty_lines: true });
+    return {
+        addresses: readFollowCandidates(accountsCsvPath),
+        unchecked: records.filter(record => record.Status && record.Status.startsWith('Could not check')).length
+    };
+}
+
+// The list with this title, created when missing (not in a dry run). Exclusive lists keep their
+// members' posts out of the home timeline on servers that support it; others ignore the setting.
+// Returns { id, created }; id is null in a dry run for a list that doesn't exist yet.
+async function findOrCreateList(instance, token, title, dryRun) {
+    const lists = (await http.get(`https://${instance}/api/v1/lists`, { headers: authHeaders(token) })).data;
+    const existing = lists.find(list => list.title === title);
+    if (existing) return { id: existing.id, created: false };
+    if (dryRun) return { id: null, created: false };
+    const response = await http.post(`https://${instance}/api/v1/lists`, { title, replies_policy: 'list', exclusive: true }, { headers: authHeaders(token) });
+    return { id: response.data.id, created: true };
+}
+
+// Accounts in a list (limit=0 returns all of them at once)
+async function fetchListAccounts(instance, token, listId) {
+    const response = await http.get(`https://${instance}/api/v1/lists/${listId}/accounts?limit=0`, { headers: authHeaders(token) });
+    return response.data;
+}
+
+function addToList(instance, token, listId, accountId) {
+    return http.post(`https://${instance}/api/v1/lists/${listId}/accounts`, { account_ids: [accountId] }, { headers: authHeaders(token) });
+}
+
+function removeFromList(instance, token, listId, accountId) {
+    return http.request({
+        url: `https://${instance}/api/v1/lists/${listId}/accounts`,
+        method: 'delete',
+        data: { account_ids: [accountId] },
+        headers: authHeaders(token)
+    });
+}
+
+// Add an account to a list. Servers that only list accounts you follow answer 422, so the account is
+// followed and the add tried again. Returns true if it had to be followed.
+async function addAccount(instance, token, listId, accountId) {
+    try {
+        await addToList(instance, token, listId, accountId);
+        return false;
+    } catch (err) {
+        if (!err.response || err.response.status !== 422) throw err;
+    }
+    await followAccount(instance, token, accountId);
+    await addToList(instance, token, listId, accountId);
+    return true;
+}
+
+// Create or update the list of bridged accounts (addresses or actor URLs) on the instance. Accounts
+// already in the list are matched by address or actor URL, so only new ones are resolved. Members are
+// only removed when allowRemovals is set, so accounts that couldn't be checked aren't dropped.
+async function syncBridgedList(addresses, { instance, token, title = DEFAULT_LIST_TITLE, dryRun = false, allowRemovals = true, throttleMs = DEFAULT_THROTTLE_MS, logPath } = {}) {
+    let list;
+    let members;
+    try {
+        list = await findOrCreateList(instance, token, title, dryRun);
+        members = list.id ? await fetchListAccounts(instance, token, list.id) : [];
+    } catch (err) {
+        console.error(chalk.red(`Could not read your lists on ${instance}: ${http.describeError(err)}`));
+        interaction.markFatal();
+        return null;
+    }
+    if (list.created) console.log(chalk.green(`Created the list "${title}".`));
+
+    const keysOf = account => [account.acct.toLowerCase(), account.uri, account.url].filter(Boolean);
+    const memberKeys = new Set(members.flatMap(keysOf));
+    const wanted = new Set(addresses.map(address => address.toLowerCase()));
+    const toAdd = addresses.filter(address => !memberKeys.has(address) && !memberKeys.has(address.toLowerCase()));
+    const toRemove = allowRemovals ? members.filter(account => !keysOf(account).some(key => wanted.has(key.toLowerCase()))) : [];
+    console.log(chalk.cyan(`${members.length} in the list, ${toAdd.length} to add, ${toRemove.length} to remove.`));
+
+    const entries = [];
+    if (dryRun) {
+        for (const address of toAdd) entries.push({ handle: address, result: 'dry-run', detail: 'Would add' });
+        for (const account of toRemove) entries.push({ handle: account.acct, id: account.id, result: 'dry-run', detail: 'Would remove' });
+        writeFollowLog(entries, logPath, 'Account ID', 'List changes');
+        console.log(chalk.yellow('Dry run: the list was not changed.'));
+        return entries;
+    }
+
+    for (const address of toAdd) {
+        try {
+            const account = await resolveAccount(instance, token, address);
+            if (!account) {
+                entries.push({ handle: address, result: 'failed', detail: 'Account could not be resolved' });
+                console.log(chalk.red(`  failed    ${address}: could not be resolved`));
+            } else {
+                const followed = await addAccount(instance, token, list.id, account.id);
+                entries.push({ handle: address, id: account.id, result: 'added', detail: followed ? 'Followed first, as the server requires' : '' });
+                console.log(chalk.green(`  added     ${address}${followed ? ' (followed first)' : ''}`));
+            }
+        } catch (err) {
+            const detail = http.describeError(err);
+            entries.push({ handle: address, result: 'failed', detail });
+            console.log(chalk.red(`  failed    ${address}: ${detail}`));
+        }
+        await http.sleep(throttleMs);
+    }
+    for (const account of toRemove) {
+        try {
+            await removeFromList(instance, token, list.id, account.id);
+            entries.push({ handle: account.acct, id: account.id, result: 'removed' });
+            console.log(chalk.yellow(`  removed   ${account.acct}`));
+        } catch (err) {
+            const detail = http.describeError(err);
+            entries.push({ handle: account.acct, id: account.id, result: 'failed', detail });
+            console.log(chalk.red(`  failed    ${account.acct}: ${detail}`));
+        }
+        await http.sleep(throttleMs);
+    }
+
+    writeFollowLog(entries, logPath, 'Account ID', 'List changes');
+    const count = result => entries.filter(entry => entry.result === result).length;
+    console.log(chalk.bold.cyan(`\nAdded ${count('added')}, removed ${count('removed')}, ${count('failed')} failed.`));
+    console.log(chalk.bold.cyan(`List: https://${instance}/lists/${list.id}`));
+    if (count('failed') > 0) interaction.markPartialFailure();
+    return entries;
+}
+
+module.exports = {
+    DEFAULT_LIST_TITLE,
+    readListCandidates,
+    syncBridgedList
+};
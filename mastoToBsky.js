@@ -1,78 +1,100 @@
 const fs = require('fs');
-const csv = require('csv-parser');
 const { write } = require('fast-csv');
-const axios = require('axios');
+const http = require('./httpClient.js');
 const path = require('path');
-const _open = require('open');
 const chalk = require('chalk').default;
-const open = _open.default || _open;
+const lookupCache = require('./lookupCache.js');
+const checkpoint = require('./checkpoint.js');
+const interaction = require('./interaction.js');
+const { resolveUnbridgedOptions, writeUnbridgedCsv, unbridgedHtmlSection } = require('./unbridgedExport.js');
+const bridgeProviders = require('./bridgeProviders.js');
+const { convertAddressFormat } = require('./bridgyFed.js');
+const { nativeHtmlSection } = require('./nativeAccounts.js');
+const jsonOutput = require('./jsonOutput.js');
+const radar = require('./radar.js');
+const { drawProgressBar } = require('./cliProgress.js');
+const runOutputs = require('./runOutputs.js');
+const { reportChanges, changesHtmlSection } = require('./runHistory.js');
+const { escapeHtml, linkHtml, copyButton, resultsTable, reportPage } = require('./reportHtml.js');
+const { coverageStats, showBridgedPercentage } = require('./coverage.js');
+const { loadMastodonFollows } = require('./mastodonSource.js');
+const { parseProfileArgs, profileCsvFields, profileColumns, isInactive, compareActivity } = require('./profileMetadata.js');
 
-// Convert a Mastodon account address to the Bluesky brid.gy format
-function convertAddressFormat(address) {
-  const formattedAddress = address.replace(/[_~]/g, '-');
-  const [username, instance] = formattedAddress.split('@');
-  return `${username}.${instance}.ap.brid.gy`;
+// Build an output row; every row has the same columns so the CSV header covers them all. profile is
+// kept for the report and left out of the CSV, which has its fields as columns.
+function resultEntry(sourceAddress, address, did, status, statusClass, { note = '', method = '', bridge = '', native = null, profile = null } = {}) {
+  return {
+    'Mastodon address': sourceAddress.replace(/^@/, ''),
+    'Account address': address,
+    'Profile URL': `https://bsky.app/profile/${address}`,
+    DID: did || '',
+    'Matched by': method || '',
+    Bridge: bridge || '',
+    status,
+    statusClass,
+    note,
+    Confidence: native ? native.confidence : '',
+    Evidence: native ? native.evidence.join('; ') : '',
+    ...profileCsvFields(profile),
+    profile
+  };
 }
 
-// Determine if the domain should be excluded from conversion
-function excludeDomain(address) {
-  return address.endsWith('@bsky.brid.gy') || address.endsWith('@threads.net') || address.endsWith('@bird.makeup');
-}
-
-// Check if a Bluesky account exists
-async function checkAccountExists(accountAddress) {
-  const formattedAddress = accountAddress.replace('@', '');
-  const profileUrl = `https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor=${formattedAddress}`;
-  try {
-    const response = await axios.get(profileUrl);
-    const accountExists = response.status === 200;
-    return { exists: accountExists, address: formattedAddress };
-  } catch (error) {
-    return { exists: false, address: formattedAddress, error: error.message };
+// CSV/HTML row for a record from radar.js; accounts without a bridged counterpart come back as
+// { unbridged, handle, link } for the unbridged export
+function recordEntry(record) {
+  const { source, target } = record;
+  if (record.status === 'not_bridged') {
+    return { unbridged: true, handle: source.address, link: source.profileUrl };
+  }
+  if (record.status === 'could_not_check') {
+    // Keep accounts we couldn't check in the report instead of dropping them as "not bridged"
+    return resultEntry(source.address, convertAddressFormat(source.address), null, 'Could not check', 'status-orange', { note: record.note || '' });
   }
+  const followed = record.checks.followed === true;
+  if (record.status === 'native_account') {
+    return resultEntry(source.address, target.address, target.did,
+      followed ? 'Native account on the other network, already followed' : 'Native account on the other network', 'status-blue',
+      { note: record.note || '', method: record.matchedBy, native: record.native, profile: record.profile });
+  }
+  return resultEntry(source.address, target.address, target.did,
+    followed ? 'Bridged, already followed' : 'Bridged, not yet followed', followed ? 'status-red' : 'status-green',
+    { note: record.note || '', method: record.matchedBy, bridge: record.bridge, profile: record.profile });
 }
 
-// Fetch the list of accounts a user is following (their "follows") using the public API
-async function fetchUserFollowsHandles(userHandle, maxEntries = null) {
-  let cursor = undefined;
-  let handles = [];
-  let totalFetched = 0;
-  while (true) {
-    const url = `https://public.api.bsky.app/xrpc/app.bsky.graph.getFollows?actor=${encodeURIComponent(userHandle)}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}&limit=100`;
-    try {
-      const response = await axios.get(url);
-      if (response.data && Array.isArray(response.data.follows)) {
-        for (const follow of response.data.follows) {
-          if (follow.handle) handles.push(follow.handle.toLowerCase());
-          totalFetched++;
-          if (maxEntries && totalFetched >= maxEntries) break;
-        }
-        if (maxEntries && totalFetched >= maxEntries) break;
-        if (response.data.cursor) {
-          cursor = response.data.cursor;
-        } else {
-          break;
-        }
-      } else {
-        break;
-      }
-    } catch (err) {
-      console.error(chalk.red(`Error fetching follows for ${userHandle}: ${err.message}`));
-      break;
-    }
-  }
-  return new Set(handles);
+// Accounts on the other network you don't follow yet and that haven't posted for more than inactiveDays
+function isDormantSuggestion(entry, inactiveDays) {
+  const suggested = entry.status === 'Bridged, not yet followed' || entry.status === 'Native account on the other network';
+  return suggested && isInactive(entry.profile, inactiveDays);
 }
 
 const mastodonInstanceInput = process.env.BSKY_CHECK_INSTANCE || 'mastodon.social';
 const outputInstance = process.env.BSKY_WRITE_INSTANCE || 'bsky.brid.gy';
 
-// Main entry point for the conversion process
+// Main entry point for the conversion process: the CLI around radar.findBridgedFromMastodon.
+// Returns the run's outputs (see runOutputs.js), or undefined if it stopped before writing any.
+// args[0] is where your Mastodon follows come from: the following CSV, an account archive (zip) or
+// your user@instance address (see mastodonSource.js).
 async function main(args = process.argv.slice(2)) {
-  const inputFilename = args[0];
-  const checkFlag = args.includes('-c');
-  const outputFilename = 'output.csv';
-  const results = [];
+  const mastoSource = args[0];
+  // Also look for people who run a separate native Bluesky account (slower: one profile lookup per account)
+  const crossReference = args.includes('--cross-reference');
+  lookupCache.configure(args);
+  http.configure(args);
+  interaction.configure(args);
+  let profileOptions;
+  try {
+    bridgeProviders.configure(args);
+    jsonOutput.parseFormatArgs(args);
+    profileOptions = parseProfileArgs(args);
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    interaction.markFatal();
+    return;
+  }
+  // Every file of this run is named after it and listed in its manifest
+  const outputs = runOutputs.start('mastoToBsky', args);
+  const writer = jsonOutput.createWriter(args, 'mastoToBsky', outputs);
   let followCheckHandleOrDid = null;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '-f' && args[i + 1]) {
@@ -80,75 +102,114 @@ async function main(args = process.argv.slice(2)) {
       i++;
     }
   }
+  // Your follows can come from a repo export (--repo FILE) instead of the Bluesky API
+  const repoIndex = args.indexOf('--repo');
+  const repo = repoIndex !== -1 ? args[repoIndex + 1] : null;
+  if (repoIndex !== -1 && (!repo || !fs.existsSync(repo))) {
+    console.error(chalk.red(`Repo export not found: ${repo || '(no file given after --repo)'}`));
+    interaction.markFatal();
+    if (writer) writer.close();
+    outputs.finish();
+    return outputs;
+  }
 
-  // If follow check is enabled, get followed handles from the Bluesky API (not atproto-export)
-  let followedHandles = null;
-  if (followCheckHandleOrDid) {
-    console.log(chalk.cyan('Fetching your Bluesky follows...'));
-    followedHandles = await fetchUserFollowsHandles(followCheckHandleOrDid);
-    console.log(chalk.green(`Loaded ${followedHandles.size} followed handles.`));
+  // Load your Mastodon follows; MASTODON_ACCESS_TOKEN is used for following lists that aren't public
+  let mastoFollows;
+  try {
+    ({ addresses: mastoFollows } = await loadMastodonFollows(mastoSource, { token: process.env.MASTODON_ACCESS_TOKEN || null }));
+    console.log(chalk.green(`Loaded ${mastoFollows.length} Mastodon follows.`));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    interaction.markFatal();
+    if (writer) writer.close();
+    outputs.finish();
+    return outputs;
   }
 
-  // Read and process the input CSV
-  let inputRows = [];
-  await new Promise((resolve, reject) => {
-    fs.createReadStream(inputFilename)
-      .pipe(csv())
-      .on('data', (row) => {
-        if (!excludeDomain(row['Account address'])) {
-          inputRows.push(row);
-        }
-      })
-      .on('end', resolve)
-      .on('error', reject);
-  });
+  // Checkpoint progress so an interrupted run can be resumed with --resume
+  const run = checkpoint.start('mastoToBsky', args, { resume: args.includes('--resume') });
 
-  // Loading bar for checking Bluesky accounts
-  const total = inputRows.length;
-  let loadingBarComplete = false;
-  for (let i = 0; i < inputRows.length; i++) {
-    const row = inputRows[i];
-    const newAddress = convertAddressFormat(row['Account address']);
-    const profileUrl = `https://bsky.app/profile/${newAddress.replace('@', '')}`;
-
-    let status = 'Bridged, not yet followed';
-    let statusClass = 'status-green';
-
-    if (followedHandles && followedHandles.has(newAddress.toLowerCase())) {
-      status = 'Bridged, already followed';
-      statusClass = 'status-red';
-      // Optionally, you can skip the existence check for already-followed accounts to save API calls
-      results.push({ 'Account address': newAddress, 'Profile URL': profileUrl, status, statusClass });
-    } else {
-      const result = await checkAccountExists(newAddress);
-      if (result.exists) {
-        results.push({ 'Account address': result.address, 'Profile URL': profileUrl, status, statusClass });
+  // Follows are fetched from the Bluesky API (or read from the repo export) and matched by DID; the
+  // loading bar updates as each account finishes
+  let result;
+  let profilesShown = false;
+  try {
+    result = await radar.findBridgedFromMastodon({
+      accounts: mastoFollows,
+      bskyActor: followCheckHandleOrDid,
+      repo,
+      crossReference,
+      // Display names, counts and last post dates of the accounts found (skipped with --no-profiles)
+      profiles: profileOptions.profiles,
+      run,
+      onResult: record => writer && writer.write(record),
+      onProgress: (event) => {
+        if (event.stage === 'follows' && event.from === 'checkpoint') {
+          console.log(chalk.green(`Loaded ${event.done} followed accounts from the checkpoint.`));
+        } else if (event.stage === 'follows' && event.total === null && event.done === 0) {
+          console.log(chalk.cyan(repo ? 'Reading your Bluesky follows from the repo export...' : 'Fetching your Bluesky follows...'));
+        } else if (event.stage === 'follows' && event.total !== null) {
+          console.log(chalk.green(`Loaded ${event.total} followed accounts.`));
+        } else if (event.stage === 'accounts' && event.done > 0) {
+          drawProgressBar(event.done, event.total);
+        } else if (event.stage === 'accounts' && event.total === 0) {
+          process.stdout.write('\n');
+        } else if (event.stage === 'profiles' && event.done < event.total && !profilesShown) {
+          profilesShown = true;
+          console.log(chalk.cyan(`Fetching the profiles of ${event.total - event.done} accounts...`));
+        } else if (event.stage === 'profiles' && profilesShown) {
+          drawProgressBar(event.done, event.total);
+        }
       }
-    }
+    });
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    console.error(chalk.red('Stopping: without your full follow list, followed accounts would be reported as not followed.'));
+    interaction.markFatal();
+    if (writer) writer.close();
+    outputs.finish();
+    return outputs;
+  }
+  const entries = result.records.map(recordEntry);
+  let results = entries.filter(entry => !entry.unbridged);
+  const unbridgedRows = entries.filter(entry => entry.unbridged);
+  // --inactive-days N leaves dormant accounts out of the results, and so out of the follow and list steps
+  if (profileOptions.inactiveDays) {
+    const dormant = results.filter(entry => isDormantSuggestion(entry, profileOptions.inactiveDays)).length;
+    results = results.filter(entry => !isDormantSuggestion(entry, profileOptions.inactiveDays));
+    if (dormant > 0) console.log(chalk.cyan(`Left out ${dormant} account${dormant === 1 ? '' : 's'} that ${dormant === 1 ? 'hasn\'t' : 'haven\'t'} posted for more than ${profileOptions.inactiveDays} days.`));
+  }
+  // --sort activity lists the most recently active accounts first
+  if (profileOptions.sort === 'activity') results.sort((a, b) => compareActivity(a.profile, b.profile));
 
-    // Loading bar only (no per-account output)
-    const checked = i + 1;
-    const barLength = 40;
-    const percent = checked / total;
-    const filled = Math.round(barLength * percent);
-    const bar = chalk.green('█'.repeat(filled)) + chalk.gray('░'.repeat(barLength - filled));
-    const lineWidth = 60;
-    const handleLine = `Checked ${checked}/${total}`;
-    const paddedHandleLine = handleLine.padEnd(lineWidth, ' ');
-    // If complete, print in green and do not overwrite
-    if (checked === total) {
-      process.stdout.write(`\r${chalk.green(paddedHandleLine)}\n${chalk.green(`[${'█'.repeat(barLength)}] 100.0%`)}\n`);
-      loadingBarComplete = true;
-    } else {
-      process.stdout.write(`\r${chalk.cyan(paddedHandleLine)}\n[${bar}] ${(percent * 100).toFixed(1)}%`);
-      process.stdout.write('\x1b[1A');
-    }
+  const uncheckedCount = results.filter(r => r.status === 'Could not check').length;
+  if (uncheckedCount > 0) {
+    console.warn(chalk.yellow(`${uncheckedCount} account${uncheckedCount === 1 ? '' : 's'} could not be checked because of network errors or rate limits. Run again to retry them.`));
+    interaction.markPartialFailure();
   }
-  if (!loadingBarComplete) process.stdout.write('\n'); // Move to next line after loop if not already done
+  showBridgedPercentage(coverageStats('mastoToBsky', result.records));
+
+  const unbridgedOptions = resolveUnbridgedOptions(args, unbridgedRows.length);
+
+  // What changed since the last run for this handle (or input file, when no handle was given)
+  const history = reportChanges('mastoToBsky', followCheckHandleOrDid || path.basename(mastoSource), result.records, outputs, args);
 
   // Write results to a CSV file
-  await writeResultsToFile(results, outputFilename);
-  await writeResultsToHtml(results);
+  await writeResultsToFile(results, outputs.path('results.csv'));
+  outputs.add('results', outputs.path('results.csv'));
+  await writeResultsToHtml(results, outputs.path('report.html'), unbridgedRows, unbridgedOptions.includeMessages, history, profileOptions.profiles);
+  outputs.add('report', outputs.path('report.html'));
+  if (unbridgedOptions.write) {
+    writeUnbridgedCsv(unbridgedRows, 'mastoToBsky', unbridgedOptions.includeMessages, outputs.path('unbridged.csv'));
+    outputs.add('unbridged', outputs.path('unbridged.csv'));
+  }
+  if (writer) writer.close();
+  run.finish();
+  outputs.finish();
+
+  lookupCache.save();
+  lookupCache.printStats();
+  return outputs;
 }
 
 // Write results to a CSV file
@@ -156,7 +217,7 @@ function writeResultsToFile(results, outputFilename) {
   return new Promise((resolve, reject) => {
     console.log(chalk.cyan(`Writing ${results.length} results to ${outputFilename}...`));
     const ws = fs.createWriteStream(outputFilename);
-    write(results, { headers: true })
+    write(results.map(({ profile, ...row }) => row), { headers: true })
       .pipe(ws)
       .on('finish', () => {
         console.log(chalk.green(`Conversion complete. The updated addresses are saved in '${outputFilename}'.`));
@@ -169,62 +230,57 @@ function writeResultsToFile(results, outputFilename) {
   });
 }
 
-// Write results to a styled HTML file
-function writeResultsToHtml(results) {
+// Write results to an interactive HTML report, with the changes since the last run at the top and
+// unbridged accounts in their own section; showProfiles adds the profile columns
+function writeResultsToHtml(results, htmlPath, unbridgedRows = [], includeMessages = false, history = null, showProfiles = false) {
   return new Promise((resolve, reject) => {
-    // Sort: "not yet followed" first, then "already followed"
+    // Sort: "not yet followed" first, then "could not check", then "already followed"; each group keeps
+    // the order of results
     const sortedResults = [
       ...results.filter(r => r.status === 'Bridged, not yet followed'),
+      ...results.filter(r => r.status === 'Could not check'),
       ...results.filter(r => r.status === 'Bridged, already followed')
     ];
 
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <title>Fediverse Radar: Mastodon → Bluesky Results</title>
-  <style>
-    body { font-family: system-ui, sans-serif; background: #f9f9fb; color: #222; margin: 0; padding: 2em; }
-    h1 { color: #2b6cb0; }
-    table { border-collapse: collapse; width: 100%; background: #fff; box-shadow: 0 2px 8px #0001; }
-    th, td { border: 1px solid #e2e8f0; padding: 10px 8px; }
-    th { background: #edf2fa; }
-    tr:nth-child(even) { background: #f7fafc; }
-    a { color: #3182ce; text-decoration: none; }
-    a:hover { text-decoration: underline; }
-    .count { margin-bottom: 1em; color: #555; }
-    .status-green { color: #228B22; font-weight: bold; }
-    .status-red { color: #C00; font-weight: bold; }
-  </style>
-</head>
-<body>
-  <h1>Fediverse Radar: Mastodon → Bluesky Results</h1>
+    const body = `
+  ${changesHtmlSection(history)}
   <div class="count">${sortedResults.length} account${sortedResults.length === 1 ? '' : 's'} listed</div>
-  <table>
-    <tr>
-      <th>Handle</th>
-      <th>Link</th>
-      <th>Status</th>
-    </tr>
-    ${sortedResults.map(row => `
-      <tr>
-        <td>${row['Account address']}</td>
-        <td><a href="${row['Profile URL']}" target="_blank">${row['Profile URL']}</a></td>
-        <td class="${row.statusClass}">${row.status}</td>
-      </tr>
-    `).join('')}
-  </table>
-</body>
-</html>
-    `.trim();
-
-    fs.writeFile('output.html', html, err => {
+  ${resultsTable({
+    exportName: path.basename(htmlPath, '-report.html'),
+    filters: { 'status-green': 'Not yet followed', 'status-orange': 'Could not check', 'status-red': 'Already followed' },
+    columns: [
+      { label: 'Handle', cell: row => `<span title="${escapeHtml(row.DID)}">${escapeHtml(row['Account address'])}</span>${copyButton(row['Account address'])}` },
+      { label: 'Link', cell: row => linkHtml(row['Profile URL']) },
+      { label: 'Status', className: row => row.statusClass, cell: row => `${escapeHtml(row.status)}${row.note ? `<br><small>${escapeHtml(row.note)}</small>` : ''}` },
+      { label: 'Matched by', cell: row => escapeHtml(row['Matched by']) },
+      { label: 'Bridge', cell: row => escapeHtml(bridgeProviders.bridgeName(row.Bridge)) },
+      ...(showProfiles ? profileColumns(row => row.profile) : []),
+      { label: 'Mastodon address', cell: row => `${escapeHtml(row['Mastodon address'])}${copyButton(row['Mastodon address'])}` }
+    ],
+    rows: sortedResults.map(row => ({
+      ...row,
+      mastodonAddress: row['Mastodon address'],
+      // Only accounts whose bridged copy was found have a handle to follow
+      blueskyHandle: row.DID ? row['Account address'] : ''
+    }))
+  })}
+  ${nativeHtmlSection(results.filter(r => r.status.startsWith('Native account')).map(r => ({
+    source: r['Mastodon address'],
+    native: r['Account address'],
+    link: r['Profile URL'],
+    followed: r.status.endsWith('already followed'),
+    confidence: r.Confidence,
+    evidence: r.Evidence.split('; ').concat(r.note ? [r.note] : [])
+  })), 'mastoToBsky')}
+  ${unbridgedHtmlSection(unbridgedRows, 'mastoToBsky', includeMessages)}`;
+    const html = reportPage('Fediverse Radar: Mastodon → Bluesky Results', body);
+
+    fs.writeFile(htmlPath, html, err => {
       if (err) {
-        console.error(chalk.red('Error writing output.html:'), err.message);
+        console.error(chalk.red(`Error writing ${htmlPath}:`), err.message);
         reject(err);
       } else {
-        console.log(chalk.green(`HTML report saved as output.html (${sortedResults.length} entries).`));
+        console.log(chalk.green(`HTML report saved as ${htmlPath} (${sortedResults.length} entries).`));
         resolve();
       }
     });
@@ -0,0 +1,138 @@
+const http = require('./httpClient.js');
+
+// Split "user@instance" (with or without a leading @) into its parts
+function parseAccountAddress(address) {
+    const [username, instance] = address.trim().replace(/^@/, '').split('@');
+    return { username, instance };
+}
+
+// Plain text of the HTML Mastodon gives for bios and profile fields: line breaks and paragraphs become
+// newlines, tags are dropped and the few entities Mastodon uses are decoded
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<br\s*\/?>|<\/p>\s*(?:<p>)?/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|quot|#39|apos);/g, (entity, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'" }[name]))
+        .trim();
+}
+
+function authHeaders(token) {
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Look up an account on its home instance; returns the account object or null if it doesn't exist
+async function lookupAccount(address, token = null) {
+    const { username, instance } = parseAccountAddress(address);
+    const check = await http.checkExists(`https://${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(username)}`, {
+        headers: authHeaders(token)
+    });
+    if (check.outcome === http.UNKNOWN) throw check.error;
+    return check.outcome === http.FOUND ? check.response.data : null;
+}
+
+// Resolve an address through WebFinger on its domain. Returns { subject, actorUrl } with the canonical
+// acct address (which may differ from the one asked for) and the ActivityPub actor URL, or null if the
+// domain doesn't know the account. Throws if the lookup fails.
+async function webfinger(address) {
+    const { username, instance } = parseAccountAddress(address);
+    const check = await http.checkExists(`https://${instance}/.well-known/webfinger?resource=${encodeURIComponent(`acct:${username}@${instance}`)}`, {
+        headers: { Accept: 'application/jrd+json, application/json' }
+    });
+    if (check.outcome === http.UNKNOWN) throw check.error;
+    if (check.outcome === http.NOT_FOUND) return null;
+    const { subject, links = [] } = check.response.data || {};
+    const self = links.find(link => link.rel === 'self' && /activity\+json|ld\+json/.test(link.type || ''));
+    return {
+        subject: (subject || `acct:${username}@${instance}`).replace(/^acct:/, '').toLowerCase(),
+        actorUrl: self ? self.href : null
+    };
+}
+
+// Work out the address of an ActivityPub actor URL: its preferredUsername at its host, made canonical
+// through WebFinger (for accounts whose server lives on another domain than their address). Servers
+// that only answer signed requests fall back to the /users/name and /@name URL forms. Returns null if
+// the address can't be worked out.
+async function resolveActorAddress(actorUrl) {
+    let url;
+    try {
+        url = new URL(actorUrl);
+    } catch (err) {
+        return null;
+    }
+    let address = null;
+    try {
+        const actor = (await http.get(actorUrl, { headers: { Accept: 'application/activity+json' } })).data || {};
+        if (actor.preferredUsername) address = `${actor.preferredUsername}@${url.hostname}`;
+    } catch (err) {
+        http.throwIfAborted();
+    }
+    if (!address) {
+        const match = url.pathname.match(/^\/(?:users\/|@)([^/]+)\/?$/);
+        if (!match) return null;
+        address = `${match[1]}@${url.hostname}`;
+    }
+    try {
+        const finger = await webfinger(address);
+        if (finger) return finger.subject;
+    } catch (err) {
+        http.throwIfAborted();
+    }
+    return address.toLowerCase();
+}
+
+// An instance's public list of moderated domains as [{ domain, digest, severity, comment }], or null
+// when the instance doesn't publish it. Throws if the request fails.
+async function fetchDomainBlocks(instance) {
+    const check = await http.checkExists(`https://${instance}/api/v1/instance/domain_blocks`, { notFoundStatuses: [401, 403, 404] });
+    if (check.outcome === http.UNKNOWN) throw check.error;
+    return check.outcome === http.FOUND && Array.isArray(check.response.data) ? check.response.data : null;
+}
+
+// Find the rel="next" URL in a Link header
+function nextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+    const match = linkHeader.split(',').map(part => part.match(/<([^>]+)>;\s*rel="next"/)).find(Boolean);
+    return match ? match[1] : null;
+}
+
+// Turn an acct as the instance reports it ("user" for local accounts) into a full address
+function fullAddress(acct, instance) {
+    return acct.includes('@') ? acct : `${acct}@${instance}`;
+}
+
+// Fetch every account in an account's followers or following list, following Link-header pagination.
+// Throws if a page can't be fetched, so a truncated list is never mistaken for the full one.
+async function fetchAccountList(address, relation, { token = null, onPage = null } = {}) {
+    const { instance } = parseAccountAddress(address);
+    const account = await lookupAccount(address, token);
+    if (!account) {
+        throw new Error(`Mastodon account ${address} was not found`);
+    }
+    const addresses = [];
+    let url = `https://${instance}/api/v1/accounts/${account.id}/${relation}?limit=80`;
+    while (url) {
+        let response;
+        try {
+            response = await http.get(url, { headers: authHeaders(token) });
+        } catch (err) {
+            throw new Error(`Could not fetch ${relation} for ${address}: ${http.describeError(err)}`);
+        }
+        for (const entry of response.data) {
+            addresses.push(fullAddress(entry.acct, instance).toLowerCase());
+        }
+        if (onPage) onPage(addresses.length);
+        url = nextPageUrl(response.headers.link);
+    }
+    return addresses;
+}
+
+module.exports = {
+    parseAccountAddress,
+    htmlToText,
+    lookupAccount,
+    webfinger,
+    resolveActorAddress,
+    fetchDomainBlocks,
+    nextPageUrl,
+    fetchAccountList
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Read the follows in an account archive: the zip Mastodon builds under Preferences → Import and
+// export → Request your archive, or the backup zip of Pleroma, Akkoma and other compatible servers.
+// Archives can hold gigabytes of media, so only the central directory and the few small files needed
+// are read from disk. Stored and deflated entries are supported, as is ZIP64 for very large archives.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const ZIP64_EXTRA_FIELD = 0x0001;
+// Fields set to this value are stored in the ZIP64 extra field instead
+const ZIP64_MARKER = 0xffffffff;
+
+function readAt(fd, position, length) {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(fd, buffer, 0, length, position);
+    if (read < length) throw new Error('The archive is truncated; download it again');
+    return buffer;
+}
+
+// Find the central directory through the end of central directory record (and its ZIP64 version)
+function findCentralDirectory(fd, size) {
+    // The record is 22 bytes plus a comment of up to 64 KiB, at the very end of the file
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = readAt(fd, size - tailLength, tailLength);
+    let pos = tail.length - 22;
+    while (pos >= 0 && tail.readUInt32LE(pos) !== END_OF_CENTRAL_DIRECTORY) pos--;
+    if (pos < 0) throw new Error('Not a zip archive');
+    let length = tail.readUInt32LE(pos + 12);
+    let offset = tail.readUInt32LE(pos + 16);
+    if ((offset === ZIP64_MARKER || length === ZIP64_MARKER) && pos >= 20 && tail.readUInt32LE(pos - 20) === ZIP64_LOCATOR) {
+        const record = readAt(fd, Number(tail.readBigUInt64LE(pos - 12)), 56);
+        if (record.readUInt32LE(0) !== ZIP64_END_OF_CENTRAL_DIRECTORY) throw new Error('The archive is damaged; download it again');
+        length = Number(record.readBigUInt64LE(40));
+        offset = Number(record.readBigUInt64LE(48));
+    }
+    return { offset, length };
+}
+
+// List the files in an archive as a Map of name → { method, compressedSize, headerOffset }
+function listEntries(fd, size) {
+    const { offset, length } = findCentralDirectory(fd, size);
+    const directory = readAt(fd, offset, length);
+    const entries = new Map();
+    let pos = 0;
+    while (pos + 46 <= directory.length && directory.readUInt32LE(pos) === CENTRAL_DIRECTORY_ENTRY) {
+        const nameLength = directory.readUInt16LE(pos + 28);
+        const extraLength = directory.readUInt16LE(pos + 30);
+        const commentLength = directory.readUInt16LE(pos + 32);
+        const name = directory.toString('utf8', pos + 46, pos + 46 + nameLength);
+        let compressedSize = directory.readUInt32LE(pos + 20);
+        let headerOffset = directory.readUInt32LE(pos + 42);
+        // The ZIP64 extra field holds the 64-bit sizes and offset, in this order, for the fields that overflowed
+        const extraStart = pos + 46 + nameLength;
+        for (let extra = extraStart; extra + 4 <= extraStart + extraLength;) {
+            const id = directory.readUInt16LE(extra);
+            const dataLength = directory.readUInt16LE(extra + 2);
+            if (id === ZIP64_EXTRA_FIELD) {
+                let field = extra + 4;
+                if (directory.readUInt32LE(pos + 24) === ZIP64_MARKER) field += 8;
+                if (compressedSize === ZIP64_MARKER) { compressedSize = Number(directory.readBigUInt64LE(field)); field += 8; }
+                if (headerOffset === ZIP64_MARKER) headerOffset = Number(directory.readBigUInt64LE(field));
+            }
+            extra += 4 + dataLength;
+        }
+        entries.set(name, { method: directory.readUInt16LE(pos + 10), compressedSize, headerOffset });
+        pos = extraStart + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// Read one file out of the archive
+function readEntry(fd, entry) {
+    const header = readAt(fd, entry.headerOffset, 30);
+    if (header.readUInt32LE(0) !== LOCAL_FILE_HEADER) throw new Error('The archive is damaged; download it again');
+    const dataStart = entry.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = readAt(fd, dataStart, entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`The archive uses an unsupported compression method (${entry.method})`);
+}
+
+// The host and username of an ActivityPub actor, as a user@instance address
+function actorAddress(actor) {
+    if (!actor || !actor.preferredUsername || typeof actor.id !== 'string') return null;
+    return `${actor.preferredUsername}@${new URL(actor.id).hostname}`.toLowerCase();
+}
+
+// Read an account archive. Returns { account, followingCsv, actorUrls }:
+//   account       The archive owner's address, from actor.json (null if the archive has none)
+//   followingCsv  The text of a following_accounts.csv export in the archive, or null
+//   actorUrls     Followed actor URLs from a following.json collection (Pleroma, Akkoma), or null
+// Mastodon's own archives have no follow list, so both are null for them and the follows have to be
+// fetched for account. Throws if the file isn't a readable zip.
+function readAccountArchive(zipPath) {
+    const fd = fs.openSync(zipPath, 'r');
+    try {
+        const entries = listEntries(fd, fs.fstatSync(fd).size);
+        // Some tools wrap the archive in a top-level folder, so files are matched by their base name
+        const find = name => [...entries.keys()].find(key => key === name || key.endsWith(`/${name}`));
+        const readJson = name => JSON.parse(readEntry(fd, entries.get(find(name))).toString('utf8'));
+
+        const account = find('actor.json') ? actorAddress(readJson('actor.json')) : null;
+        const followingCsv = find('following_accounts.csv')
+            ? readEntry(fd, entries.get(find('following_accounts.csv'))).toString('utf8')
+            : null;
+        let actorUrls = null;
+        if (find('following.json')) {
+            const collection = readJson('following.json');
+            actorUrls = (collection.orderedItems || collection.items || [])
+                .map(item => (typeof item === 'string' ? item : item && item.id))
+                .filter(Boolean);
+        }
+        return { account, followingCsv, actorUrls };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    readAccountArchive
+};
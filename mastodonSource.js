@@ -0,0 +1,88 @@
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+const chalk = require('chalk').default;
+const http = require('./httpClient.js');
+const { fetchAccountList, resolveActorAddress } = require('./mastodonApi.js');
+const { readAccountArchive } = require('./mastodonArchive.js');
+
+// Where your Mastodon follows come from: the following_accounts.csv export, an account archive (zip),
+// or the account itself, whose following list is fetched from its server. Each gives the same list of
+// addresses, so the conversions don't need to know which one was used.
+
+const ZIP_SIGNATURE = 'PK\x03\x04';
+
+// 'csv', 'archive' or 'account' for a follows source; null if it's neither an existing file nor an address
+function sourceKind(source) {
+    if (!source) return null;
+    if (fs.existsSync(source)) {
+        const fd = fs.openSync(source, 'r');
+        const magic = Buffer.alloc(4);
+        fs.readSync(fd, magic, 0, 4, 0);
+        fs.closeSync(fd);
+        return magic.toString('latin1') === ZIP_SIGNATURE ? 'archive' : 'csv';
+    }
+    return /^@?[^@\s/]+@[^@\s/]+\.[^@\s/]+$/.test(source.trim()) ? 'account' : null;
+}
+
+// Followed addresses from the text of a Mastodon following CSV ("Account address" column)
+function parseFollowingCsv(text) {
+    return parse(text, { columns: true, skip_empty_lines: true })
+        .map(record => (record['Account address'] || '').trim().replace(/^@/, '').toLowerCase())
+        .filter(Boolean);
+}
+
+function readFollowingCsv(csvPath) {
+    return parseFollowingCsv(fs.readFileSync(csvPath, 'utf8'));
+}
+
+// Addresses of the actor URLs in an archive's following.json; ones that can't be worked out are
+// left out with a warning
+async function resolveActorUrls(actorUrls) {
+    console.log(chalk.cyan(`Looking up the addresses of ${actorUrls.length} followed accounts...`));
+    const addresses = await http.mapWithConcurrency(actorUrls, http.getConcurrency(), resolveActorAddress);
+    const unresolved = actorUrls.filter((url, index) => !addresses[index]);
+    if (unresolved.length > 0) {
+        console.warn(chalk.yellow(`${unresolved.length} followed account${unresolved.length === 1 ? '' : 's'} could not be looked up and ${unresolved.length === 1 ? 'is' : 'are'} left out:`));
+        for (const url of unresolved.slice(0, 10)) console.warn(chalk.yellow(`  ${url}`));
+        if (unresolved.length > 10) console.warn(chalk.yellow(`  ...and ${unresolved.length - 10} more`));
+    }
+    return addresses.filter(Boolean);
+}
+
+async function loadArchiveFollows(zipPath, token) {
+    const archive = readAccountArchive(zipPath);
+    if (archive.followingCsv !== null) return { account: archive.account, addresses: parseFollowingCsv(archive.followingCsv) };
+    if (archive.actorUrls !== null) return { account: archive.account, addresses: await resolveActorUrls(archive.actorUrls) };
+    if (!archive.account) {
+        throw new Error(`${zipPath} has neither a follow list nor an actor.json; is it an account archive?`);
+    }
+    // Mastodon's archives have the account but not who it follows
+    console.log(chalk.cyan(`The archive has no follow list, so the follows of ${archive.account} are fetched from its server...`));
+    return { account: archive.account, addresses: await fetchAccountList(archive.account, 'following', { token }) };
+}
+
+// Load the followed accounts of a source (see sourceKind). Returns { account, addresses }: the
+// source's own address when it's known (null for a CSV) and the follows as lowercase addresses
+// without a leading @. token is used for following lists that aren't public. Throws if the follows
+// can't be loaded completely.
+async function loadMastodonFollows(source, { token = null } = {}) {
+    switch (sourceKind(source)) {
+        case 'csv':
+            return { account: null, addresses: readFollowingCsv(source) };
+        case 'archive':
+            return loadArchiveFollows(source, token);
+        case 'account': {
+            const account = source.trim().replace(/^@/, '').toLowerCase();
+            console.log(chalk.cyan(`Fetching the Mastodon follows of ${account}...`));
+            return { account, addresses: await fetchAccountList(account, 'following', { token }) };
+        }
+        default:
+            throw new Error(`Mastodon follows not found: ${source || '(none given)'} is neither a file nor a user@instance address`);
+    }
+}
+
+module.exports = {
+    sourceKind,
+    readFollowingCsv,
+    loadMastodonFollows
+};
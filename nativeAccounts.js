@@ -0,0 +1,218 @@
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const { lookupAccount, parseAccountAddress, htmlToText } = require('./mastodonApi.js');
+const { resolveHandle } = require('./atprotoIdentity.js');
+// Bridged copies live under the enabled providers' domains; a link to one of them is not a native account
+const { isBridgeDomain } = require('./bridgeProviders.js');
+const { escapeHtml, linkHtml } = require('./reportHtml.js');
+
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+function hrefs(html) {
+    return [...(html || '').matchAll(/href="([^"]+)"/gi)].map(match => match[1]);
+}
+
+// Bluesky handles or DIDs referenced in Mastodon profile text: bsky.app profile links and @handle.domain mentions
+function blueskyReferences(html) {
+    const text = `${htmlToText(html)} ${hrefs(html).join(' ')}`;
+    const refs = [];
+    for (const match of text.matchAll(/bsky\.app\/profile\/([a-z0-9:._-]+)/gi)) {
+        refs.push({ actor: match[1].toLowerCase(), kind: 'link' });
+    }
+    // @name.domain, but not the first half of a Fediverse @user@instance address
+    for (const match of text.matchAll(/(?:^|[\s(])@([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?![\w.@-])/gi)) {
+        refs.push({ actor: match[1].toLowerCase(), kind: 'mention' });
+    }
+    // A link shows up both as its href and as its text; keep the first (strongest) reference per actor
+    const seen = new Set();
+    return refs.filter(ref => {
+        if (isBridgeDomain(ref.actor) || seen.has(ref.actor)) return false;
+        seen.add(ref.actor);
+        return true;
+    });
+}
+
+// Fediverse addresses referenced in Bluesky profile text: @user@instance mentions and https://instance/@user links
+function fediverseReferences(text) {
+    const refs = [];
+    for (const match of (text || '').matchAll(/@([a-z0-9_.-]+)@([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi)) {
+        refs.push({ address: `${match[1]}@${match[2]}`.toLowerCase(), kind: 'mention' });
+    }
+    for (const match of (text || '').matchAll(/https?:\/\/([a-z0-9-]+(?:\.[a-z0-9-]+)+)\/@([a-z0-9_]+)(?![@\w])/gi)) {
+        if (match[1].toLowerCase() === 'bsky.app') continue;
+        refs.push({ address: `${match[2]}@${match[1]}`.toLowerCase(), kind: 'link' });
+    }
+    return refs.filter(ref => !isBridgeDomain(parseAccountAddress(ref.address).instance));
+}
+
+// Whether a Bluesky profile description points back at a Mastodon account
+function blueskyLinksBack(description, address) {
+    const { username, instance } = parseAccountAddress(address);
+    const text = (description || '').toLowerCase();
+    return text.includes(`@${username}@${instance}`) || text.includes(`${instance}/@${username}`);
+}
+
+// Whether a Mastodon account's bio or profile fields point back at a Bluesky account
+function mastodonLinksBack(account, profile) {
+    const html = [account.note, ...(account.fields || []).map(field => field.value)].join(' ');
+    return blueskyReferences(html).some(ref => ref.actor === profile.handle || ref.actor === profile.did);
+}
+
+// Verified (rel=me) website links from a Mastodon account's profile fields, as bare domains
+function verifiedDomains(account) {
+    return (account.fields || [])
+        .filter(field => field.verified_at)
+        .flatMap(field => hrefs(field.value))
+        .map(url => {
+            try {
+                return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+async function fetchBlueskyProfile(actor) {
+    const check = await http.checkExists(`https://public.api.bsky.app/xrpc/app.bsky.actor.getProfile?actor=${encodeURIComponent(actor)}`, {
+        notFoundStatuses: [400, 404]
+    });
+    if (check.outcome === http.UNKNOWN) throw check.error;
+    return check.outcome === http.FOUND ? check.response.data : null;
+}
+
+function strongest(matches) {
+    return matches.sort((a, b) => CONFIDENCE_RANK[b.confidence] - CONFIDENCE_RANK[a.confidence])[0] || null;
+}
+
+// Look for a native Bluesky account run by the owner of a Mastodon account. Evidence comes from the
+// Mastodon bio and profile fields (bsky.app links, @handle mentions, rel=me verified websites that are
+// also a Bluesky domain handle) and from the Bluesky profile linking back.
+// Returns { did, handle, confidence, evidence } or null; throws if a lookup fails.
+async function findNativeBlueskyAccount(address) {
+    const cleaned = address.replace(/^@/, '').toLowerCase();
+    const cached = lookupCache.get('nativeAccount', `masto:${cleaned}`);
+    if (cached.hit) return cached.value;
+
+    const account = await lookupAccount(cleaned);
+    const matches = [];
+    if (account) {
+        const candidates = new Map();
+        const addCandidate = (actor, confidence, evidence) => {
+            const entry = candidates.get(actor) || { confidence: 'low', evidence: [] };
+            if (CONFIDENCE_RANK[confidence] > CONFIDENCE_RANK[entry.confidence]) entry.confidence = confidence;
+            entry.evidence.push(evidence);
+            candidates.set(actor, entry);
+        };
+        for (const field of account.fields || []) {
+            for (const ref of blueskyReferences(field.value)) {
+                addCandidate(ref.actor, 'medium', `Mastodon profile field "${htmlToText(field.name)}" points to ${ref.actor}`);
+            }
+        }
+        for (const ref of blueskyReferences(account.note)) {
+            addCandidate(ref.actor, ref.kind === 'link' ? 'medium' : 'low', `Mastodon bio ${ref.kind === 'link' ? 'links to' : 'mentions'} ${ref.actor}`);
+        }
+        // A website the Mastodon account has verified that is also a Bluesky handle is run by the same person
+        for (const domain of verifiedDomains(account)) {
+            if (isBridgeDomain(domain) || !(await resolveHandle(domain))) continue;
+            addCandidate(domain, 'high', `Verified link ${domain} on Mastodon is also their Bluesky handle`);
+        }
+
+        for (const [actor, candidate] of candidates) {
+            const profile = await fetchBlueskyProfile(actor);
+            if (!profile || isBridgeDomain(profile.handle)) continue;
+            const evidence = [...candidate.evidence];
+            let confidence = candidate.confidence;
+            if (blueskyLinksBack(profile.description, cleaned)) {
+                confidence = 'high';
+                evidence.push('Bluesky bio links back to the Mastodon account');
+            }
+            matches.push({ did: profile.did, handle: profile.handle.toLowerCase(), confidence, evidence });
+        }
+    }
+
+    const match = strongest(matches);
+    lookupCache.set('nativeAccount', `masto:${cleaned}`, match);
+    return match;
+}
+
+// Look for a native Mastodon account run by the owner of a Bluesky profile ({ did, handle, description }).
+// Evidence comes from Fediverse addresses and links in the Bluesky bio, confirmed by the Mastodon account
+// linking back or by a rel=me verified link to the Bluesky domain handle.
+// Returns { address, confidence, evidence } or null; throws if a lookup fails.
+async function findNativeMastodonAccount(profile) {
+    const cached = lookupCache.get('nativeAccount', `bsky:${profile.did}`);
+    if (cached.hit) return cached.value;
+
+    const matches = [];
+    const seen = new Set();
+    for (const ref of fediverseReferences(profile.description)) {
+        if (seen.has(ref.address)) continue;
+        seen.add(ref.address);
+        const account = await lookupAccount(ref.address);
+        if (!account) continue;
+        let confidence = ref.kind === 'link' ? 'medium' : 'low';
+        const evidence = [`Bluesky bio ${ref.kind === 'link' ? 'links to' : 'mentions'} @${ref.address}`];
+        if (mastodonLinksBack(account, profile)) {
+            confidence = 'high';
+            evidence.push('Mastodon profile links back to the Bluesky account');
+        }
+        if (verifiedDomains(account).includes(profile.handle)) {
+            confidence = 'high';
+            evidence.push(`Verified link ${profile.handle} on Mastodon is their Bluesky domain handle`);
+        }
+        matches.push({ address: ref.address, confidence, evidence });
+    }
+
+    const match = strongest(matches);
+    lookupCache.set('nativeAccount', `bsky:${profile.did}`, match);
+    return match;
+}
+
+// Fetch Bluesky profiles (with descriptions) for a list of DIDs, 25 at a time
+async function fetchBlueskyProfiles(dids) {
+    const profiles = new Map();
+    for (let i = 0; i < dids.length; i += 25) {
+        const batch = dids.slice(i, i + 25);
+        const query = batch.map(did => `actors=${encodeURIComponent(did)}`).join('&');
+        const response = await http.get(`https://public.api.bsky.app/xrpc/app.bsky.actor.getProfiles?${query}`);
+        for (const profile of response.data.profiles || []) {
+            profiles.set(profile.did, profile);
+        }
+    }
+    return profiles;
+}
+
+// HTML section listing native accounts on the other network, for appending to the results page
+function nativeHtmlSection(rows, direction) {
+    if (rows.length === 0) return '';
+    const network = direction === 'bskyToMasto' ? 'the Fediverse' : 'Bluesky';
+    return `
+  <h2>Native account on the other network (${rows.length})</h2>
+  <div class="count">These people also run their own account on ${network}. You may prefer following it over a bridged copy.</div>
+  <table>
+    <tr>
+      <th>Account</th>
+      <th>Native account</th>
+      <th>Confidence</th>
+      <th>Evidence</th>
+    </tr>
+    ${rows.map(row => `
+      <tr>
+        <td>${escapeHtml(row.source)}</td>
+        <td>${linkHtml(row.link, row.native)}${row.followed ? ' (already followed)' : ''}</td>
+        <td class="confidence-${escapeHtml(row.confidence)}">${escapeHtml(row.confidence)}</td>
+        <td>${row.evidence.map(escapeHtml).join('<br>')}</td>
+      </tr>
+    `).join('')}
+  </table>`;
+}
+
+module.exports = {
+    blueskyReferences,
+    fediverseReferences,
+    findNativeBlueskyAccount,
+    findNativeMastodonAccount,
+    fetchBlueskyProfiles,
+    nativeHtmlSection
+};
@@ -0,0 +1,239 @@
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const { parseAccountAddress, lookupAccount, htmlToText } = require('./mastodonApi.js');
+const { escapeHtml } = require('./reportHtml.js');
+
+// Profile details of the accounts a run finds: display name, avatar, bio, counts and when the account
+// last posted, so long lists of suggestions can be sorted by activity and dormant accounts left out.
+// A profile is { displayName, avatar, bio, followers, following, posts, lastPostAt }; lastPostAt is an
+// ISO date, or null when the account never posted or its last post couldn't be found.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// app.bsky.actor.getProfiles takes at most this many actors per request
+const PROFILES_BATCH = 25;
+
+const SORT_ORDERS = ['activity'];
+
+// A follower, following or post count; null when the server doesn't give it
+function count(value) {
+    return typeof value === 'number' ? value : null;
+}
+
+// When a Bluesky account last posted or reposted, from the top of its author feed (pinned posts aren't
+// included). Returns null if the feed can't be read.
+async function fetchLastBlueskyPost(did) {
+    try {
+        const response = await http.get(`https://public.api.bsky.app/xrpc/app.bsky.feed.getAuthorFeed?actor=${encodeURIComponent(did)}&limit=1`);
+        const item = (response.data.feed || [])[0];
+        if (!item) return null;
+        return (item.reason && item.reason.indexedAt) || item.post.indexedAt || null;
+    } catch (err) {
+        http.throwIfAborted();
+        return null;
+    }
+}
+
+// Profiles of up to PROFILES_BATCH Bluesky accounts (or their bridged copies) as a Map of DID →
+// profile. Throws if the batch can't be fetched.
+async function fetchBlueskyBatch(dids) {
+    const query = dids.map(did => `actors=${encodeURIComponent(did)}`).join('&');
+    const response = await http.get(`https://public.api.bsky.app/xrpc/app.bsky.actor.getProfiles?${query}`);
+    const found = response.data.profiles || [];
+    const lastPosts = await http.mapWithConcurrency(found, http.getConcurrency(), profile =>
+        (profile.postsCount > 0 ? fetchLastBlueskyPost(profile.did) : null));
+    return new Map(found.map((profile, i) => [profile.did, {
+        displayName: profile.displayName || '',
+        avatar: profile.avatar || null,
+        bio: profile.description || '',
+        followers: count(profile.followersCount),
+        following: count(profile.followsCount),
+        posts: count(profile.postsCount),
+        lastPostAt: lastPosts[i]
+    }]));
+}
+
+// Profile of a Mastodon account from its home instance: the account lookup, then its latest status
+// (falling back to the day the instance gives as last_status_at). Returns null if the instance doesn't
+// know the account; throws if the lookup fails.
+async function fetchMastodonProfile(address) {
+    const account = await lookupAccount(address);
+    if (!account) return null;
+    let lastPostAt = account.last_status_at ? new Date(account.last_status_at).toISOString() : null;
+    if (account.statuses_count > 0) {
+        try {
+            const { instance } = parseAccountAddress(address);
+            const response = await http.get(`https://${instance}/api/v1/accounts/${encodeURIComponent(account.id)}/statuses?limit=1`);
+            const [latest] = response.data || [];
+            if (latest && latest.created_at) lastPostAt = latest.created_at;
+        } catch (err) {
+            // Some instances only show statuses to signed-in users; last_status_at has to do then
+            http.throwIfAborted();
+        }
+    }
+    return {
+        displayName: account.display_name || '',
+        avatar: account.avatar || null,
+        bio: htmlToText(account.note),
+        followers: count(account.followers_count),
+        following: count(account.following_count),
+        posts: count(account.statuses_count),
+        lastPostAt
+    };
+}
+
+// Cache key of the account a record points to: accounts with a DID (Bluesky accounts and their bridged
+// copies) are described by their Bluesky profile, other Fediverse accounts by their home instance
+function profileKey(record) {
+    return record.target.did ? `bsky:${record.target.did}` : `masto:${record.target.address}`;
+}
+
+// Add a profile to every record with a target account; records whose profile can't be fetched keep
+// profile: null. Reports { stage: 'profiles', done, total } through onProgress.
+async function addProfiles(records, onProgress) {
+    const keys = [...new Set(records.filter(record => record.target).map(profileKey))];
+    const profiles = new Map();
+    const missing = [];
+    for (const key of keys) {
+        const cached = lookupCache.get('profileMetadata', key);
+        if (cached.hit) profiles.set(key, cached.value);
+        else missing.push(key);
+    }
+    let done = profiles.size;
+    onProgress({ stage: 'profiles', done, total: keys.length });
+    const found = (key, profile) => {
+        if (profile) {
+            profiles.set(key, profile);
+            lookupCache.set('profileMetadata', key, profile);
+        }
+    };
+
+    const dids = missing.filter(key => key.startsWith('bsky:')).map(key => key.slice('bsky:'.length));
+    const batches = [];
+    for (let i = 0; i < dids.length; i += PROFILES_BATCH) batches.push(dids.slice(i, i + PROFILES_BATCH));
+    await http.mapWithConcurrency(batches, http.getConcurrency(), async (batch) => {
+        try {
+            for (const [did, profile] of await fetchBlueskyBatch(batch)) found(`bsky:${did}`, profile);
+        } catch (err) {
+            // The batch's accounts are listed without a profile
+            http.throwIfAborted();
+        }
+        done += batch.length;
+        onProgress({ stage: 'profiles', done, total: keys.length });
+    });
+
+    const addresses = missing.filter(key => key.startsWith('masto:')).map(key => key.slice('masto:'.length));
+    await http.mapWithConcurrency(addresses, http.getConcurrency(), async (address) => {
+        try {
+            found(`masto:${address}`, await fetchMastodonProfile(address));
+        } catch (err) {
+            http.throwIfAborted();
+        }
+        onProgress({ stage: 'profiles', done: ++done, total: keys.length });
+    });
+    http.throwIfAborted();
+
+    return records.map(record => ({ ...record, profile: (record.target && profiles.get(profileKey(record))) || null }));
+}
+
+// Days since a profile's last post: Infinity for accounts that never posted, null when unknown
+function daysSinceLastPost(profile, now = Date.now()) {
+    if (!profile) return null;
+    if (profile.lastPostAt) return Math.max(0, Math.floor((now - Date.parse(profile.lastPostAt)) / DAY_MS));
+    return profile.posts === 0 ? Infinity : null;
+}
+
+// Whether a profile's last post is more than days ago; accounts whose activity is unknown are kept
+function isInactive(profile, days) {
+    const since = daysSinceLastPost(profile);
+    return since !== null && since > days;
+}
+
+// Sort comparator for profiles: most recently active first, unknown activity last
+function compareActivity(a, b) {
+    const since = profile => {
+        const days = daysSinceLastPost(profile);
+        return days === null ? Infinity : days;
+    };
+    const [first, second] = [since(a), since(b)];
+    return first === second ? 0 : (first < second ? -1 : 1);
+}
+
+// Read the profile switches from CLI args: --no-profiles skips fetching profiles, --sort activity lists
+// the most recently active accounts first and --inactive-days N leaves out accounts that haven't posted
+// for more than N days. Returns { profiles, sort, inactiveDays }; throws on a bad value.
+function parseProfileArgs(args) {
+    const profiles = !args.includes('--no-profiles');
+    const sortIndex = args.indexOf('--sort');
+    const sort = sortIndex !== -1 ? (args[sortIndex + 1] || '').toLowerCase() : null;
+    if (sort !== null && !SORT_ORDERS.includes(sort)) {
+        throw new Error(`Unknown --sort "${args[sortIndex + 1] || ''}": use ${SORT_ORDERS.join(' or ')}.`);
+    }
+    const daysIndex = args.indexOf('--inactive-days');
+    const inactiveDays = daysIndex !== -1 ? Number(args[daysIndex + 1]) : null;
+    if (daysIndex !== -1 && !(Number.isInteger(inactiveDays) && inactiveDays > 0)) {
+        throw new Error(`--inactive-days needs a number of days, not "${args[daysIndex + 1] || ''}".`);
+    }
+    if (!profiles && (sort || inactiveDays)) {
+        throw new Error(`${sort ? '--sort' : '--inactive-days'} needs the profiles that --no-profiles skips.`);
+    }
+    return { profiles, sort, inactiveDays };
+}
+
+// CSV columns for a profile; every row gets them, empty when there's no profile
+function profileCsvFields(profile) {
+    return {
+        'Display name': profile ? profile.displayName : '',
+        Avatar: profile && profile.avatar ? profile.avatar : '',
+        Bio: profile ? profile.bio : '',
+        Followers: profile && profile.followers !== null ? profile.followers : '',
+        Following: profile && profile.following !== null ? profile.following : '',
+        Posts: profile && profile.posts !== null ? profile.posts : '',
+        'Last post': profile && profile.lastPostAt ? profile.lastPostAt : ''
+    };
+}
+
+// "2025-01-01 (3 days ago)", "Never" or ''
+function lastPostText(profile) {
+    const since = daysSinceLastPost(profile);
+    if (since === null) return '';
+    if (since === Infinity) return 'Never';
+    return `${profile.lastPostAt.slice(0, 10)} (${since === 0 ? 'today' : `${since} day${since === 1 ? '' : 's'} ago`})`;
+}
+
+// Columns for resultsTable (see reportHtml.js) showing the profile profileOf(row) returns. Dates are
+// written year first, so sorting the column sorts by activity.
+function profileColumns(profileOf) {
+    return [
+        {
+            label: 'Name',
+            cell: (row) => {
+                const profile = profileOf(row);
+                if (!profile) return '';
+                const avatar = /^https:\/\//i.test(profile.avatar || '')
+                    ? `<img class="avatar" src="${escapeHtml(profile.avatar)}" alt="" loading="lazy" referrerpolicy="no-referrer">`
+                    : '';
+                const bio = profile.bio.length > 160 ? `${profile.bio.slice(0, 159)}…` : profile.bio;
+                return `${avatar}${escapeHtml(profile.displayName)}${bio ? `<br><small title="${escapeHtml(profile.bio)}">${escapeHtml(bio)}</small>` : ''}`;
+            }
+        },
+        {
+            label: 'Followers',
+            cell: (row) => {
+                const profile = profileOf(row);
+                return profile && profile.followers !== null ? escapeHtml(profile.followers) : '';
+            }
+        },
+        { label: 'Last post', cell: row => escapeHtml(lastPostText(profileOf(row))) }
+    ];
+}
+
+module.exports = {
+    addProfiles,
+    daysSinceLastPost,
+    isInactive,
+    compareActivity,
+    parseProfileArgs,
+    profileCsvFields,
+    profileColumns
+};
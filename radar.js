@@ -0,0 +1,481 @@
+const http = require('./httpClient.js');
+const lookupCache = require('./lookupCache.js');
+const bridgeProviders = require('./bridgeProviders.js');
+const { SCHEMA_VERSION, STATUSES, buildRecord } = require('./jsonOutput.js');
+const { fetchFollows } = require('./blueskyApi.js');
+const { resolveHandle, resolveDidHandle, isInvalidHandle } = require('./atprotoIdentity.js');
+const { findNativeBlueskyAccount, fetchBlueskyProfiles, findNativeMastodonAccount } = require('./nativeAccounts.js');
+const { readRepoFollows } = require('./repoCar.js');
+const { checkBridgeBlocks, describeBridgeBlock, diagnose } = require('./reachability.js');
+const { addProfiles } = require('./profileMetadata.js');
+
+// Library API: the checks behind both conversions, without prompts, progress bars, process exits or
+// files in the working directory. mastoToBsky.js and bskyToMasto.js are the CLI wrappers around it.
+//
+// Both find* functions take these options besides their own:
+//   crossReference  Also look for native accounts run by the same people (one profile lookup per account)
+//   profiles        Also fetch the profile of every account found: display name, avatar, bio, counts and
+//                   last post date (see profileMetadata.js)
+//   repo            Path to a repository export (CAR file) to read your follows from instead of the API
+//   run             Checkpointed run (checkpoint.start) to resume from and save progress to
+//   signal          AbortSignal; an aborted call rejects with the signal's reason
+//   onProgress      Called with { stage, done, total } events; total is null while a list is still being
+//                   fetched, and from is 'cache' or 'checkpoint' when a list wasn't fetched
+//   onResult        Called with each record (see jsonOutput.js) once its account has been checked
+//   onWarning       Called with a message when an optional step is skipped
+// They resolve to { schemaVersion, direction, records }, with one record per account in input order.
+
+// Shared settings for library calls, in place of the CLI switches:
+//   concurrency, retries  Request layer (--concurrency N, --retries N)
+//   cache                 true, false (--no-cache) or 'refresh' (--refresh)
+//   bridgesFile           Bridges file (--bridges FILE); otherwise bridges.json in the working directory, if any
+// Throws if the bridges file can't be used.
+function configure({ concurrency = null, retries = null, cache = true, bridgesFile = null } = {}) {
+    const args = [];
+    if (concurrency) args.push('--concurrency', String(concurrency));
+    if (retries !== null) args.push('--retries', String(retries));
+    if (cache === false) args.push('--no-cache');
+    if (cache === 'refresh') args.push('--refresh');
+    if (bridgesFile) args.push('--bridges', bridgesFile);
+    http.configure(args);
+    lookupCache.configure(args);
+    bridgeProviders.configure(args);
+}
+
+// Run a library call with no-op default callbacks and its AbortSignal applied to every request inside;
+// the lookup cache is saved however the call ends
+async function runCall({ signal = null, onProgress = () => {}, onResult = () => {}, onWarning = () => {} }, call) {
+    try {
+        return await http.withSignal(signal, () => call({ onProgress, onResult, onWarning }));
+    } finally {
+        lookupCache.save();
+    }
+}
+
+// Handles for follows read from a repo export, which only has their DIDs. Accounts the AppView doesn't
+// return (deleted, taken down, or a batch that failed) are left as handle.invalid, so displayHandle
+// falls back to their DID document.
+async function resolveRepoHandles(follows, onProgress) {
+    const batches = [];
+    for (let i = 0; i < follows.length; i += 25) batches.push(follows.slice(i, i + 25));
+    const handles = new Map();
+    let resolved = 0;
+    await http.mapWithConcurrency(batches, http.getConcurrency(), async (batch) => {
+        try {
+            for (const [did, profile] of await fetchBlueskyProfiles(batch.map(follow => follow.did))) {
+                handles.set(did, (profile.handle || 'handle.invalid').toLowerCase());
+            }
+        } catch (err) {
+            http.throwIfAborted();
+        }
+        resolved += batch.length;
+        onProgress({ stage: 'follows', done: resolved, total: null });
+    });
+    return follows.map(follow => ({ did: follow.did, handle: handles.get(follow.did) || 'handle.invalid' }));
+}
+
+// Read your follows from a repo export as [{ did, handle }]; handles are only looked up when asked
+// for, and are null otherwise. Throws if the export belongs to another account than actor (when
+// actor is a DID) or can't be read.
+async function loadRepoFollows(repo, actor, { handles, onProgress }) {
+    const exported = readRepoFollows(repo);
+    if (actor && actor.startsWith('did:') && actor !== exported.did) {
+        throw new Error(`The repo export belongs to ${exported.did}, not ${actor}`);
+    }
+    return handles
+        ? resolveRepoHandles(exported.follows, onProgress)
+        : exported.follows.map(follow => ({ did: follow.did, handle: null }));
+}
+
+// Fetch the follows of a Bluesky account as [{ did, handle }], read them from a repo export, or load
+// them from the run's checkpoint. handles: false skips looking up handles for repo exports.
+async function loadFollows(actor, run, onProgress, { repo = null, handles = true } = {}) {
+    const saved = run && run.loadStage('follows');
+    if (saved) {
+        onProgress({ stage: 'follows', done: saved.length, total: saved.length, from: 'checkpoint' });
+        return saved;
+    }
+    // Page events start at the first account, so done: 0 with no total only marks the start of the fetch
+    onProgress({ stage: 'follows', done: 0, total: null });
+    const follows = repo
+        ? await loadRepoFollows(repo, actor, { handles, onProgress })
+        : await fetchFollows(actor, null, (fetched) => {
+            if (fetched > 0) onProgress({ stage: 'follows', done: fetched, total: null });
+        });
+    if (run) run.saveStage('follows', follows);
+    onProgress({ stage: 'follows', done: follows.length, total: follows.length });
+    return follows;
+}
+
+// Check one Mastodon account: its bridged Bluesky account through each provider, then (with
+// crossReference) a native Bluesky account run by the same person, which takes precedence
+async function checkMastodonAccount(address, { followedByDid, crossReference }) {
+    const [username, instance] = address.split('@');
+    const source = { network: 'fediverse', address, profileUrl: `https://${instance}/@${username}` };
+    // null when your follows weren't fetched
+    const followed = did => (followedByDid && did ? followedByDid.has(did) : null);
+    const result = await bridgeProviders.resolveBlueskyAccount(address);
+
+    let native = null;
+    if (crossReference) {
+        try {
+            native = await findNativeBlueskyAccount(address);
+        } catch (err) {
+            // A failed cross-reference leaves the account as the bridge check found it
+        }
+        if (native && native.did === result.did) native = null;
+    }
+
+    if (native) {
+        return buildRecord('mastoToBsky', {
+            source,
+            target: { network: 'bluesky', address: native.handle, did: native.did, profileUrl: `https://bsky.app/profile/${native.handle}` },
+            status: 'native_account',
+            matchedBy: 'Cross-reference',
+            checks: { bridged: result.outcome, followed: followed(native.did) },
+            native: { address: native.handle, did: native.did, confidence: native.confidence, evidence: native.evidence },
+            note: result.exists ? `Also bridged as ${result.handle}` : null
+        });
+    }
+    if (result.exists) {
+        // Follows are matched by DID, so an account followed under another handle still counts as followed.
+        // Follows read from a repo export have no handle (null) and keep the one the bridge check found.
+        const followedHandle = followedByDid ? followedByDid.get(result.did) : undefined;
+        const handle = followedHandle || result.handle;
+        return buildRecord('mastoToBsky', {
+            source,
+            target: { network: 'bluesky', address: handle, did: result.did, profileUrl: `https://bsky.app/profile/${handle}` },
+            status: 'bridged',
+            bridge: result.bridge,
+            matchedBy: result.method,
+            checks: { bridged: result.outcome, followed: followed(result.did) },
+            note: followedHandle && followedHandle !== result.handle ? `Handle changed: now ${followedHandle}` : null
+        });
+    }
+    // Accounts we couldn't check are kept apart from accounts that aren't bridged
+    return buildRecord('mastoToBsky', {
+        source,
+        status: result.outcome === http.NOT_FOUND ? 'not_bridged' : 'could_not_check',
+        checks: { bridged: result.outcome, followed: null },
+        note: result.error
+    });
+}
+
+// Find the Bluesky accounts of Mastodon accounts.
+//   accounts   Mastodon addresses (user@instance, with or without a leading @); accounts on domains a
+//              bridge provider excludes are skipped
+//   bskyActor  Your Bluesky handle or DID; when given (or with repo), records say whether you already follow each account
+// Progress stages: 'follows' (your Bluesky follows), 'accounts' and 'profiles'. Throws if your follows can't
+// be fetched completely, since a partial list would report followed accounts as not followed.
+async function findBridgedFromMastodon({ accounts = [], bskyActor = null, crossReference = false, profiles = false, run = null, repo = null, ...options } = {}) {
+    return runCall(options, async ({ onProgress, onResult }) => {
+        const followedByDid = bskyActor || repo
+            ? new Map((await loadFollows(bskyActor, run, onProgress, { repo, handles: false })).map(follow => [follow.did, follow.handle]))
+            : null;
+        const addresses = accounts.map(address => address.replace(/^@/, '')).filter(address => !bridgeProviders.isExcluded(address));
+        if (run) run.setTotal(addresses.length);
+
+        let checked = 0;
+        onProgress({ stage: 'accounts', done: 0, total: addresses.length });
+        const records = await http.mapWithConcurrency(addresses, http.getConcurrency(), async (address) => {
+            // Accounts checked before an interruption come straight from the checkpoint
+            let record = run && run.hasRow(address) ? run.getRow(address) : null;
+            if (!record) {
+                record = await checkMastodonAccount(address, { followedByDid, crossReference });
+                http.throwIfAborted();
+                // Failed checks aren't checkpointed, so a resumed run retries them
+                if (run && record.status !== 'could_not_check') run.recordRow(address, record);
+            }
+            // With profiles, records are reported once their profile is in
+            if (!profiles) onResult(record);
+            onProgress({ stage: 'accounts', done: ++checked, total: addresses.length });
+            return record;
+        });
+        if (!profiles) return { schemaVersion: SCHEMA_VERSION, direction: 'mastoToBsky', records };
+        const withProfiles = await addProfiles(records, onProgress);
+        withProfiles.forEach(record => onResult(record));
+        return { schemaVersion: SCHEMA_VERSION, direction: 'mastoToBsky', records: withProfiles };
+    });
+}
+
+// Handle to show for a follow; handle.invalid accounts are resolved through their DID document,
+// falling back to the DID itself
+async function displayHandle(follow) {
+    if (!isInvalidHandle(follow.handle)) return { handle: follow.handle, verified: true };
+    try {
+        const claimed = await resolveDidHandle(follow.did);
+        return { handle: claimed || follow.did, verified: false };
+    } catch (err) {
+        http.throwIfAborted();
+        return { handle: follow.did, verified: false };
+    }
+}
+
+// Find the DID behind a bridged address you follow on Mastodon. The handle is tried first; if it no
+// longer resolves (the account changed handles since it was followed), the instance's copy of the
+// account may still carry the bridge's actor URL, which contains the DID. Returns null if neither works.
+async function resolveFollowedDid(address, instance) {
+    const provider = bridgeProviders.providerForFediverseAddress(address);
+    const handle = address.split('@')[0];
+    try {
+        const did = await resolveHandle(handle);
+        if (did || !provider || !provider.didFromActorUrl) return did;
+        const lookup = await http.checkExists(`https://${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(address)}`);
+        return lookup.outcome === http.FOUND ? provider.didFromActorUrl(lookup.response.data.uri) : null;
+    } catch (err) {
+        http.throwIfAborted();
+        return null;
+    }
+}
+
+// Check if a profile exists on a given instance. Returns { outcome, error }: outcome is http.FOUND,
+// NOT_FOUND or UNKNOWN, and error describes what went wrong for UNKNOWN.
+async function checkProfileExistsOnInstance(instance, address) {
+    const cacheTarget = `${instance}/${address}`;
+    const cached = lookupCache.get('instanceProfile', cacheTarget);
+    if (cached.hit) return { outcome: cached.value ? http.FOUND : http.NOT_FOUND, error: null };
+    // Use the Mastodon API to check for account existence
+    const url = `https://${instance}/api/v1/accounts/lookup?acct=${encodeURIComponent(address)}`;
+    const check = await http.checkExists(url);
+    if (check.outcome !== http.UNKNOWN) {
+        lookupCache.set('instanceProfile', cacheTarget, check.outcome === http.FOUND);
+    }
+    return { outcome: check.outcome, error: check.error ? http.describeError(check.error) : null };
+}
+
+// Your instance's blocks of the bridges as a Map of provider id → block (see reachability.js), each
+// reported once through onWarning. An instance that doesn't publish its blocks, or a failed check,
+// only means blocks can't be diagnosed.
+async function loadBridgeBlocks(instance, onWarning) {
+    const providers = bridgeProviders.fediverseProviders();
+    try {
+        const { published, blocks } = await checkBridgeBlocks(instance, providers);
+        if (!published) onWarning(`${instance} doesn't publish its domain blocks, so blocks of the bridge can't be checked.`);
+        for (const provider of providers) {
+            if (blocks.has(provider.id)) onWarning(describeBridgeBlock(instance, provider, blocks.get(provider.id)));
+        }
+        return blocks;
+    } catch (err) {
+        http.throwIfAborted();
+        onWarning(`Could not read the domain blocks of ${instance}: ${http.describeError(err)}`);
+        return new Map();
+    }
+}
+
+// Why the bridge leaves out accounts its profile check says aren't bridged, from their Bluesky
+// profiles. Returns a Map of DID → reason for the accounts whose profile says so.
+async function loadOptOutReasons(accounts) {
+    const reasons = new Map();
+    if (accounts.length === 0) return reasons;
+    let profiles;
+    try {
+        profiles = await fetchBlueskyProfiles(accounts.map(account => account.did));
+    } catch (err) {
+        // Without the profiles the diagnosis just can't say why
+        http.throwIfAborted();
+        return reasons;
+    }
+    for (const account of accounts) {
+        const profile = profiles.get(account.did);
+        const reason = profile ? account.provider.optOutReason(profile) : null;
+        if (reason) reasons.set(account.did, reason);
+    }
+    return reasons;
+}
+
+// Cross-reference pass: look through the follows' Bluesky profiles for native Fediverse accounts run by
+// the same people. Returns a Map of DID → { address, confidence, evidence }; the result is checkpointed.
+async function crossReferenceFollows(follows, run, { onProgress, onWarning }) {
+    const saved = run && run.loadStage('nativeAccounts');
+    if (saved) {
+        onProgress({ stage: 'crossReference', done: follows.length, total: follows.length, found: saved.length, from: 'checkpoint' });
+        return new Map(saved);
+    }
+    onProgress({ stage: 'crossReference', done: 0, total: follows.length, found: 0 });
+    let profiles;
+    try {
+        profiles = await fetchBlueskyProfiles(follows.map(follow => follow.did));
+    } catch (err) {
+        http.throwIfAborted();
+        onWarning(`Skipping the native account cross-reference: ${http.describeError(err)}`);
+        return new Map();
+    }
+    const matches = await http.mapWithConcurrency([...profiles.values()], http.getConcurrency(), async (profile) => {
+        try {
+            return [profile.did, await findNativeMastodonAccount(profile)];
+        } catch (err) {
+            // An unreachable instance only means no match for this account
+            return [profile.did, null];
+        }
+    });
+    http.throwIfAborted();
+    const found = matches.filter(([, match]) => match);
+    if (run) run.saveStage('nativeAccounts', found);
+    onProgress({ stage: 'crossReference', done: follows.length, total: follows.length, found: found.length });
+    return new Map(found);
+}
+
+// Record for a followed Bluesky account; checks hold the instance and bridge checks made for it.
+// Bridged accounts you don't follow get a diagnosis from those checks and the bridge's block, if any.
+function blueskyAccountRecord(account, { instance, followed, existsOnInstance = null, bridgeConfirmed = null, lookupError = null, block, optOutReason }) {
+    const source = {
+        network: 'bluesky',
+        address: account.handle,
+        did: account.did,
+        profileUrl: `https://bsky.app/profile/${account.verified ? account.handle : account.did}`
+    };
+    const checks = { bridged: account.outcome, handleVerified: account.verified, existsOnInstance, bridgeConfirmed, followed };
+    const bridge = account.provider ? account.provider.id : null;
+    if (account.native) {
+        const address = account.native.address;
+        return buildRecord('bskyToMasto', {
+            source,
+            target: { network: 'fediverse', address, profileUrl: `https://${instance}/@${address}` },
+            status: 'native_account',
+            bridge,
+            matchedBy: 'Cross-reference',
+            checks,
+            native: account.native,
+            note: account.provider ? `Also bridged as @${account.address}` : null
+        });
+    }
+    if (!account.provider) {
+        return buildRecord('bskyToMasto', {
+            source,
+            status: account.outcome === http.UNKNOWN ? 'could_not_check' : 'not_bridged',
+            checks
+        });
+    }
+    const diagnosis = followed === true ? null : diagnose({ instance, checks, block, optOutReason, lookupError });
+    // The bridge's own check has the final word on accounts its follow list still shows
+    if (bridgeConfirmed === http.NOT_FOUND) {
+        return buildRecord('bskyToMasto', { source, status: 'not_bridged', bridge, checks, note: 'Listed by the bridge, but its profile check says the account is not bridged', diagnosis });
+    }
+    const profileUrl = account.verified
+        ? `https://${instance}/@${account.address}`
+        : (account.provider.actorUrl ? account.provider.actorUrl(account.did) : null);
+    return buildRecord('bskyToMasto', {
+        source,
+        target: { network: 'fediverse', address: account.address, did: account.did, profileUrl },
+        status: 'bridged',
+        bridge,
+        checks,
+        diagnosis
+    });
+}
+
+// Find the Fediverse accounts of the accounts a Bluesky user follows.
+//   actor              Bluesky handle or DID whose follows are checked (optional with repo)
+//   instance           Your Mastodon instance; bridged accounts are looked up there and profile URLs point there
+//   followedAddresses  Addresses you already follow on Mastodon; when given, records say whether you follow each
+//                      account, and bridged accounts you follow aren't looked up on the instance again
+// Progress stages: 'follows', 'bridgeFollows', 'crossReference', 'accounts', 'instance' and 'profiles'. Also resolves
+// followedOnMastodon: the bridged accounts among followedAddresses as { address, did, bridge, currentAddress },
+// where currentAddress is set when the account has changed handle since you followed it, and bridgeBlocks:
+// the bridges your instance blocks or limits, as { bridge, domain, severity, comment }.
+// Throws if the follows or a bridge's list can't be fetched completely.
+async function findBridgedFromBluesky({ actor, instance = 'mastodon.social', followedAddresses = null, crossReference = false, profiles = false, run = null, repo = null, ...options } = {}) {
+    return runCall(options, async ({ onProgress, onResult, onWarning }) => {
+        const follows = await loadFollows(actor, run, onProgress, { repo });
+        await bridgeProviders.prepareFediverseProviders({ run, onProgress });
+        const bridgeBlocks = await loadBridgeBlocks(instance, onWarning);
+        const nativeByDid = crossReference ? await crossReferenceFollows(follows, run, { onProgress, onWarning }) : new Map();
+
+        // Unbridged accounts get the address the first provider would give them
+        const defaultProvider = bridgeProviders.fediverseProviders()[0] || null;
+        // Bridging is matched by DID, so handle changes don't matter; the first enabled provider that bridges the account wins
+        let checked = 0;
+        onProgress({ stage: 'accounts', done: 0, total: follows.length });
+        const accounts = await http.mapWithConcurrency(follows, http.getConcurrency(), async (follow) => {
+            const { handle, verified } = await displayHandle(follow);
+            const { provider, outcome } = await bridgeProviders.findFediverseBridge({ did: follow.did, handle }, { verified });
+            const addressProvider = provider || defaultProvider;
+            const address = addressProvider ? addressProvider.fediverseAddress(handle) : handle;
+            onProgress({ stage: 'accounts', done: ++checked, total: follows.length });
+            return { did: follow.did, handle, verified, provider, outcome, address, native: nativeByDid.get(follow.did) || null };
+        });
+        http.throwIfAborted();
+
+        // Bridged accounts you follow on Mastodon, keyed by DID so handle changes are spotted
+        const followedOnMastodon = [];
+        let followedDids = new Set();
+        let followedSet = new Set();
+        if (followedAddresses) {
+            const addressByDid = new Map(accounts.filter(account => account.verified).map(account => [account.did, account.address]));
+            const bridgedAddresses = followedAddresses
+                .map(address => address.replace(/^@/, '').toLowerCase())
+                .filter(address => bridgeProviders.providerForFediverseAddress(address));
+            const dids = await http.mapWithConcurrency(bridgedAddresses, http.getConcurrency(), address => resolveFollowedDid(address, instance));
+            bridgedAddresses.forEach((address, i) => {
+                const did = dids[i] || null;
+                const current = did ? addressByDid.get(did) : undefined;
+                followedOnMastodon.push({
+                    address,
+                    did,
+                    bridge: bridgeProviders.providerForFediverseAddress(address).id,
+                    currentAddress: current && current.toLowerCase() !== address ? current : null
+                });
+            });
+            followedDids = new Set(dids.filter(Boolean));
+            followedSet = new Set(bridgedAddresses);
+        }
+        const isFollowed = account => (followedAddresses
+            ? followedDids.has(account.did) || followedSet.has((account.native ? account.native.address : account.address).toLowerCase())
+            : null);
+
+        // Look up bridged accounts you don't follow yet on your instance; accounts it doesn't know are
+        // re-checked with the bridge (for providers that can), since its follow list can lag behind
+        const toCheck = accounts.filter(account => account.provider && !account.native && !isFollowed(account));
+        const instanceChecks = new Map();
+        let instanceChecked = 0;
+        if (run) run.setTotal(toCheck.length);
+        onProgress({ stage: 'instance', done: 0, total: toCheck.length });
+        await http.mapWithConcurrency(toCheck, http.getConcurrency(), async (account) => {
+            // Checks made before an interruption come straight from the checkpoint
+            let result = run && run.hasRow(account.did) ? run.getRow(account.did) : null;
+            if (!result) {
+                const lookup = account.verified ? await checkProfileExistsOnInstance(instance, account.address) : null;
+                const existsOnInstance = lookup ? lookup.outcome : null;
+                let bridgeConfirmed = null;
+                if (existsOnInstance !== http.FOUND && account.provider.confirmBridged) {
+                    bridgeConfirmed = await account.provider.confirmBridged(account.did);
+                }
+                http.throwIfAborted();
+                result = { existsOnInstance, bridgeConfirmed };
+                if (lookup && lookup.error) result.lookupError = lookup.error;
+                // Failed checks aren't checkpointed, so a resumed run retries them
+                if (run && existsOnInstance !== http.UNKNOWN && bridgeConfirmed !== http.UNKNOWN) run.recordRow(account.did, result);
+            }
+            instanceChecks.set(account.did, result);
+            onProgress({ stage: 'instance', done: ++instanceChecked, total: toCheck.length });
+        });
+
+        const optOutReasons = await loadOptOutReasons(toCheck.filter(account =>
+            account.provider.optOutReason && instanceChecks.get(account.did).bridgeConfirmed === http.NOT_FOUND));
+
+        let records = accounts.map(account => blueskyAccountRecord(account, {
+            instance,
+            followed: isFollowed(account),
+            ...instanceChecks.get(account.did),
+            block: account.provider ? bridgeBlocks.get(account.provider.id) : undefined,
+            optOutReason: optOutReasons.get(account.did)
+        }));
+        if (profiles) records = await addProfiles(records, onProgress);
+        records.forEach(record => onResult(record));
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            direction: 'bskyToMasto',
+            records,
+            followedOnMastodon,
+            bridgeBlocks: [...bridgeBlocks].map(([bridge, block]) => ({ bridge, ...block }))
+        };
+    });
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    STATUSES,
+    configure,
+    findBridgedFromMastodon,
+    findBridgedFromBluesky
+};
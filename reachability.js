@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const http = require('./httpClient.js');
+const { fetchDomainBlocks } = require('./mastodonApi.js');
+
+// Why a bridged Bluesky account you don't follow yet can or can't be reached from your Mastodon
+// instance. A diagnosis is { code, detail, action }; the codes are stable and written to the records.
+
+const DIAGNOSES = ['instance_blocks_bridge', 'opted_out', 'lookup_failed', 'handle_not_verified', 'not_known_to_instance', 'instance_limits_bridge'];
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// A domain and its parent domains (bsky.brid.gy, brid.gy): blocking a domain blocks its subdomains
+function domainAndParents(domain) {
+    const labels = domain.split('.');
+    return labels.slice(0, -1).map((label, i) => labels.slice(i).join('.'));
+}
+
+// Look for the bridges' domains in your instance's public domain blocks. Returns { published, blocks }
+// where blocks is a Map of provider id → { domain, severity, comment } for suspended ("suspend") and
+// limited ("silence") bridges. Obfuscated entries (bsky.br*d.gy) are matched by their digest.
+// Throws if the list can't be fetched.
+async function checkBridgeBlocks(instance, providers) {
+    const domainBlocks = await fetchDomainBlocks(instance);
+    const blocks = new Map();
+    if (!domainBlocks) return { published: false, blocks };
+    const moderated = domainBlocks
+        .filter(block => block.severity === 'suspend' || block.severity === 'silence')
+        // Suspensions first, so they win over limits on a parent domain
+        .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'suspend' ? -1 : 1));
+    for (const provider of providers) {
+        const candidates = provider.fediverseDomains.flatMap(domainAndParents);
+        for (const entry of moderated) {
+            // Reported under the bridge's own domain, not the obfuscated one
+            const domain = candidates.find(candidate => entry.domain === candidate || entry.digest === sha256(candidate));
+            if (domain) {
+                blocks.set(provider.id, { domain, severity: entry.severity, comment: entry.comment || null });
+                break;
+            }
+        }
+    }
+    return { published: true, blocks };
+}
+
+// One line about a bridge's block for the start of a run
+function describeBridgeBlock(instance, provider, block) {
+    const reason = block.comment ? ` (reason given: "${block.comment}")` : '';
+    return block.severity === 'suspend'
+        ? `${instance} blocks ${block.domain}${reason}: accounts bridged by ${provider.name} can't be followed from it.`
+        : `${instance} limits ${block.domain}${reason}: accounts bridged by ${provider.name} can be followed, but only show up for their followers.`;
+}
+
+// Diagnose a bridged account you don't follow from its checks:
+//   block           The bridge's block on your instance (see checkBridgeBlocks), or undefined
+//   optOutReason    Why the bridge leaves the account out, when its profile says so
+//   lookupError     What went wrong looking it up on your instance
+// Returns null for accounts your instance already knows and doesn't restrict.
+function diagnose({ instance, checks, block, optOutReason = null, lookupError = null }) {
+    if (block && block.severity === 'suspend') {
+        return {
+            code: 'instance_blocks_bridge',
+            detail: `${instance} blocks ${block.domain}`,
+            action: 'Ask your instance\'s admins to unblock the bridge, or follow the account from an account on another instance.'
+        };
+    }
+    if (checks.bridgeConfirmed === http.NOT_FOUND) {
+        return {
+            code: 'opted_out',
+            detail: optOutReason || 'The bridge no longer bridges the account; it may have opted out',
+            action: 'Nothing to do on your side: the account has to opt in to the bridge again. Follow it on Bluesky instead.'
+        };
+    }
+    if (checks.existsOnInstance === http.UNKNOWN || checks.bridgeConfirmed === http.UNKNOWN) {
+        return {
+            code: 'lookup_failed',
+            detail: checks.existsOnInstance === http.UNKNOWN
+                ? `Looking the account up on ${instance} failed${lookupError ? ` (${lookupError})` : ''}`
+                : 'The bridge\'s own check failed',
+            action: 'Run again later to retry the check.'
+        };
+    }
+    if (checks.handleVerified === false) {
+        return {
+            code: 'handle_not_verified',
+            detail: 'The account\'s handle doesn\'t point back to it, so it can\'t be looked up by address',
+            action: 'Search your instance for its actor URL (the search link) and follow it from there.'
+        };
+    }
+    if (checks.existsOnInstance === http.NOT_FOUND) {
+        return {
+            code: 'not_known_to_instance',
+            detail: `${instance} hasn't fetched the account yet`,
+            action: 'Search for the address on your instance (the search link) so it fetches the account, then follow it.'
+        };
+    }
+    if (block && block.severity === 'silence') {
+        return {
+            code: 'instance_limits_bridge',
+            detail: `${instance} limits ${block.domain}`,
+            action: 'You can still follow it; its posts then show up for you, but not for others on your instance.'
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    DIAGNOSES,
+    checkBridgeBlocks,
+    describeBridgeBlock,
+    diagnose
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+
+// Read follows from a repository export: the CAR file com.atproto.sync.getRepo returns, which is what
+// Bluesky's "Export my data" downloads. Only what that needs is here: CAR v1 framing, the DAG-CBOR
+// subset atproto records use, and a walk of the repo's Merkle Search Tree from its commit.
+
+const FOLLOW_COLLECTION = 'app.bsky.graph.follow';
+// DAG-CBOR tag for a CID link
+const CID_TAG = 42;
+
+// Read an unsigned LEB128 varint; returns [value, next position]
+function readVarint(bytes, pos) {
+    let value = 0;
+    let shift = 0;
+    while (true) {
+        if (pos >= bytes.length) throw new Error('Unexpected end of the repo export');
+        const byte = bytes[pos++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) return [value, pos];
+        shift += 7;
+    }
+}
+
+// Length of the binary CID at pos: CIDv0 is a bare sha-256 multihash, CIDv1 is version, codec and multihash
+function cidLength(bytes, pos) {
+    if (bytes[pos] === 0x12 && bytes[pos + 1] === 0x20) return 34;
+    let next = pos;
+    [, next] = readVarint(bytes, next); // version
+    [, next] = readVarint(bytes, next); // codec
+    [, next] = readVarint(bytes, next); // hash function
+    let digestLength;
+    [digestLength, next] = readVarint(bytes, next);
+    return next + digestLength - pos;
+}
+
+// CIDs are compared as hex strings of their binary form
+function cidKey(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+// Decode a DAG-CBOR block. CID links come back as { cid: <hex> }, byte strings as Buffers.
+function decodeDagCbor(bytes) {
+    let pos = 0;
+    const readLength = (info) => {
+        if (info < 24) return info;
+        if (info === 24) return bytes[pos++];
+        if (info === 25) { pos += 2; return bytes.readUInt16BE(pos - 2); }
+        if (info === 26) { pos += 4; return bytes.readUInt32BE(pos - 4); }
+        if (info === 27) { pos += 8; return Number(bytes.readBigUInt64BE(pos - 8)); }
+        throw new Error('Unsupported CBOR length in the repo export');
+    };
+    const item = () => {
+        const initial = bytes[pos++];
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+        switch (major) {
+            case 0: return readLength(info);
+            case 1: return -1 - readLength(info);
+            case 2: {
+                const length = readLength(info);
+                pos += length;
+                return bytes.subarray(pos - length, pos);
+            }
+            case 3: {
+                const length = readLength(info);
+                pos += length;
+                return bytes.toString('utf8', pos - length, pos);
+            }
+            case 4: {
+                const length = readLength(info);
+                const array = [];
+                for (let i = 0; i < length; i++) array.push(item());
+                return array;
+            }
+            case 5: {
+                const length = readLength(info);
+                const map = {};
+                for (let i = 0; i < length; i++) {
+                    const key = item();
+                    map[key] = item();
+                }
+                return map;
+            }
+            case 6: {
+                const tag = readLength(info);
+                const value = item();
+                // The byte string starts with the identity multibase prefix (0x00)
+                return tag === CID_TAG ? { cid: cidKey(value.subarray(1)) } : value;
+            }
+            default:
+                if (info === 20) return false;
+                if (info === 21) return true;
+                if (info === 22 || info === 23) return null;
+                if (info === 25) { pos += 2; return 0; } // half floats don't appear in atproto records
+                if (info === 26) { pos += 4; return bytes.readFloatBE(pos - 4); }
+                if (info === 27) { pos += 8; return bytes.readDoubleBE(pos - 8); }
+                throw new Error('Unsupported CBOR value in the repo export');
+        }
+    };
+    return item();
+}
+
+// Split a CAR v1 file into its roots and a Map of CID → block bytes
+function readCar(bytes) {
+    const [headerLength, headerStart] = readVarint(bytes, 0);
+    const header = decodeDagCbor(bytes.subarray(headerStart, headerStart + headerLength));
+    if (!header || header.version !== 1 || !Array.isArray(header.roots) || header.roots.length === 0) {
+        throw new Error('Not a CAR v1 repo export');
+    }
+    const blocks = new Map();
+    let pos = headerStart + headerLength;
+    while (pos < bytes.length) {
+        const [length, start] = readVarint(bytes, pos);
+        const end = start + length;
+        if (end > bytes.length) throw new Error('The repo export is truncated; download it again');
+        const cidEnd = start + cidLength(bytes, start);
+        blocks.set(cidKey(bytes.subarray(start, cidEnd)), bytes.subarray(cidEnd, end));
+        pos = end;
+    }
+    return { roots: header.roots.map(root => root.cid), blocks };
+}
+
+// Visit every (key, value CID) entry of a Merkle Search Tree in key order
+function walkMst(blocks, cid, visit) {
+    const block = blocks.get(cid);
+    if (!block) throw new Error('The repo export is missing part of the repo; download it again');
+    const node = decodeDagCbor(block);
+    if (node.l) walkMst(blocks, node.l.cid, visit);
+    // Keys are stored as a prefix length shared with the previous key plus the rest
+    let previousKey = '';
+    for (const entry of node.e) {
+        const key = previousKey.slice(0, entry.p) + Buffer.from(entry.k).toString('utf8');
+        previousKey = key;
+        visit(key, entry.v.cid);
+        if (entry.t) walkMst(blocks, entry.t.cid, visit);
+    }
+}
+
+// Read a repo export's follows, oldest first. Returns { did, follows: [{ did, rkey, createdAt }] }
+// with the repo owner's DID; an account followed twice is listed once.
+function readRepoFollows(carPath) {
+    const { roots, blocks } = readCar(fs.readFileSync(carPath));
+    const commitBlock = blocks.get(roots[0]);
+    if (!commitBlock) throw new Error('The repo export has no commit; download it again');
+    const commit = decodeDagCbor(commitBlock);
+    const follows = [];
+    const seen = new Set();
+    walkMst(blocks, commit.data.cid, (key, recordCid) => {
+        const [collection, rkey] = key.split('/');
+        if (collection !== FOLLOW_COLLECTION) return;
+        const recordBlock = blocks.get(recordCid);
+        if (!recordBlock) throw new Error('The repo export is missing a follow record; download it again');
+        const record = decodeDagCbor(recordBlock);
+        if (typeof record.subject !== 'string' || seen.has(record.subject)) return;
+        seen.add(record.subject);
+        follows.push({ did: record.subject, rkey, createdAt: record.createdAt || null });
+    });
+    return { did: commit.did, follows };
+}
+
+module.exports = {
+    decodeDagCbor,
+    readCar,
+    readRepoFollows
+};
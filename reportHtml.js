@@ -0,0 +1,241 @@
+// Shared pieces of the HTML reports: escaping, the page with its styles, and the interactive results
+// table. Reports are single files that work offline: the styles and the script are inlined, nothing
+// is loaded from a CDN. Only account avatars come from the accounts' servers, and are left out offline.
+
+// Escape text for HTML element content and quoted attribute values
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Link opening in a new tab; falls back to plain text without an http(s) URL
+function linkHtml(url, text = url) {
+    return /^https?:\/\//i.test(url || '') ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+// Button copying an address to the clipboard
+function copyButton(text) {
+    return text ? `<button type="button" class="copy" data-copy="${escapeHtml(text)}" title="Copy ${escapeHtml(text)}">Copy</button>` : '';
+}
+
+const REPORT_STYLE = `
+    body { font-family: system-ui, sans-serif; background: #f9f9fb; color: #222; margin: 0; padding: 2em; }
+    h1 { color: #2b6cb0; }
+    table { border-collapse: collapse; width: 100%; background: #fff; box-shadow: 0 2px 8px #0001; }
+    th, td { border: 1px solid #e2e8f0; padding: 10px 8px; }
+    th { background: #edf2fa; }
+    tr:nth-child(even) { background: #f7fafc; }
+    a { color: #3182ce; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    h2 { color: #2b6cb0; margin-top: 2em; }
+    .count { margin-bottom: 1em; color: #555; }
+    .status-green { color: #228B22; font-weight: bold; }
+    .status-orange { color: #FF8C00; font-weight: bold; }
+    .status-red { color: #C00; font-weight: bold; }
+    .status-purple { color: #800080; font-weight: bold; }
+    .confidence-high { color: #228B22; font-weight: bold; }
+    .confidence-medium { color: #FF8C00; font-weight: bold; }
+    .confidence-low { color: #888; }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 0.5em 1em; align-items: center; margin-bottom: 1em; }
+    .toolbar input[type=search] { padding: 6px 10px; min-width: 18em; border: 1px solid #cbd5e0; border-radius: 4px; }
+    .chip { border: 1px solid #cbd5e0; border-radius: 999px; padding: 4px 12px; background: #fff; color: #888; cursor: pointer; }
+    .chip.active { background: #edf2fa; border-color: currentColor; }
+    .chip.active.status-green { color: #228B22; }
+    .chip.active.status-orange { color: #FF8C00; }
+    .chip.active.status-red { color: #C00; }
+    .chip.active.status-purple { color: #800080; }
+    .toolbar button.export { padding: 4px 10px; cursor: pointer; }
+    th.sortable { cursor: pointer; user-select: none; }
+    th.sortable::after { content: " \\2195"; color: #a0aec0; }
+    th[aria-sort=ascending]::after { content: " \\2191"; color: #2b6cb0; }
+    th[aria-sort=descending]::after { content: " \\2193"; color: #2b6cb0; }
+    td.select, th.select { width: 1em; text-align: center; }
+    button.copy { margin-left: 0.5em; font-size: 0.8em; padding: 1px 6px; cursor: pointer; }
+    img.avatar { width: 32px; height: 32px; border-radius: 50%; object-fit: cover; vertical-align: middle; margin-right: 0.5em; }`;
+
+// Search, status chips, sorting, selection, export and copy buttons for every .radar-results block
+const REPORT_SCRIPT = `
+(function () {
+  function download(name, text, type) {
+    var url = URL.createObjectURL(new Blob([text], { type: type }));
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+    // file:// pages aren't always a secure context; fall back to a hidden textarea
+    var area = document.createElement('textarea');
+    area.value = text;
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    var copied = document.execCommand('copy');
+    area.remove();
+    return copied ? Promise.resolve() : Promise.reject(new Error('copy failed'));
+  }
+
+  document.addEventListener('click', function (event) {
+    var button = event.target.closest('button.copy');
+    if (!button) return;
+    copyText(button.dataset.copy).then(function () {
+      button.textContent = 'Copied';
+      setTimeout(function () { button.textContent = 'Copy'; }, 1200);
+    }, function () {
+      window.prompt('Copy this:', button.dataset.copy);
+    });
+  });
+
+  document.querySelectorAll('.radar-results').forEach(function (block) {
+    var table = block.querySelector('table');
+    var body = table.tBodies[0];
+    var rows = Array.prototype.slice.call(body.rows);
+    var search = block.querySelector('input[type=search]');
+    var chips = Array.prototype.slice.call(block.querySelectorAll('.chip'));
+    var selectAll = block.querySelector('th.select input');
+    var summary = block.querySelector('.selection-count');
+    var exportName = block.dataset.exportName;
+
+    function boxes(onlyShown) {
+      return rows.filter(function (row) { return !onlyShown || !row.hidden; })
+        .map(function (row) { return row.querySelector('td.select input'); });
+    }
+    function selectedRows() {
+      return rows.filter(function (row) { return row.querySelector('td.select input').checked; });
+    }
+    function refresh() {
+      var shown = rows.filter(function (row) { return !row.hidden; }).length;
+      var shownBoxes = boxes(true);
+      selectAll.checked = shownBoxes.length > 0 && shownBoxes.every(function (box) { return box.checked; });
+      summary.textContent = 'Showing ' + shown + ' of ' + rows.length + ', ' + selectedRows().length + ' selected';
+    }
+    function applyFilters() {
+      var query = search.value.trim().toLowerCase();
+      var statuses = chips.filter(function (chip) { return chip.classList.contains('active'); })
+        .map(function (chip) { return chip.dataset.status; });
+      rows.forEach(function (row) {
+        var matches = !query || row.textContent.toLowerCase().indexOf(query) !== -1;
+        row.hidden = !(matches && statuses.indexOf(row.dataset.status) !== -1);
+      });
+      refresh();
+    }
+
+    search.addEventListener('input', applyFilters);
+    chips.forEach(function (chip) {
+      chip.addEventListener('click', function () {
+        chip.classList.toggle('active');
+        chip.setAttribute('aria-pressed', chip.classList.contains('active'));
+        applyFilters();
+      });
+    });
+    selectAll.addEventListener('change', function () {
+      boxes(true).forEach(function (box) { box.checked = selectAll.checked; });
+      refresh();
+    });
+    body.addEventListener('change', refresh);
+
+    Array.prototype.forEach.call(table.tHead.rows[0].cells, function (th, column) {
+      if (!th.classList.contains('sortable')) return;
+      th.addEventListener('click', function () {
+        var ascending = th.getAttribute('aria-sort') !== 'ascending';
+        Array.prototype.forEach.call(table.tHead.rows[0].cells, function (cell) { cell.removeAttribute('aria-sort'); });
+        th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+        rows.slice().sort(function (a, b) {
+          var order = a.cells[column].textContent.trim().localeCompare(b.cells[column].textContent.trim(), undefined, { numeric: true, sensitivity: 'base' });
+          return ascending ? order : -order;
+        }).forEach(function (row) { body.appendChild(row); });
+      });
+    });
+
+    block.querySelectorAll('button.export').forEach(function (button) {
+      button.addEventListener('click', function () {
+        var kind = button.dataset.export;
+        var values = selectedRows().map(function (row) { return row.dataset[kind]; }).filter(Boolean);
+        if (values.length === 0) {
+          window.alert(selectedRows().length === 0 ? 'Select some accounts first.' : 'None of the selected accounts has a ' + (kind === 'mastodon' ? 'Mastodon address' : 'Bluesky handle') + '.');
+          return;
+        }
+        values = values.filter(function (value, i) { return values.indexOf(value) === i; });
+        if (kind === 'mastodon') {
+          var lines = ['Account address,Show boosts,Notify on new posts,Languages'].concat(values.map(function (value) { return value + ',true,false,'; }));
+          download(exportName + '-mastodon-import.csv', lines.join('\\n') + '\\n', 'text/csv');
+        } else {
+          download(exportName + '-bluesky-handles.txt', values.join('\\n') + '\\n', 'text/plain');
+        }
+      });
+    });
+
+    refresh();
+  });
+})();`;
+
+// Interactive results table. columns are [{ label, cell(row) → HTML, className(row), sortable }]; rows need a
+// statusClass and, for the exports, mastodonAddress (user@instance) and blueskyHandle. filters maps
+// each status class to the label of its filter chip.
+function resultsTable({ columns, rows, filters, exportName }) {
+    const chips = Object.entries(filters)
+        .map(([statusClass, label]) => [statusClass, label, rows.filter(row => row.statusClass === statusClass).length])
+        .filter(([, , count]) => count > 0)
+        .map(([statusClass, label, count]) => `<button type="button" class="chip active ${statusClass}" data-status="${statusClass}" aria-pressed="true">${escapeHtml(label)} (${count})</button>`);
+    return `
+  <div class="radar-results" data-export-name="${escapeHtml(exportName)}">
+    <div class="toolbar">
+      <input type="search" placeholder="Search handles and links" aria-label="Search">
+      ${chips.join('\n      ')}
+    </div>
+    <div class="toolbar">
+      <span class="selection-count"></span>
+      <button type="button" class="export" data-export="mastodon">Export selected as Mastodon import CSV</button>
+      <button type="button" class="export" data-export="bluesky">Export selected as Bluesky handle list</button>
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th class="select"><input type="checkbox" aria-label="Select all shown"></th>
+          ${columns.map(column => `<th${column.sortable === false ? '' : ' class="sortable"'}>${escapeHtml(column.label)}</th>`).join('\n          ')}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(row => `<tr data-status="${escapeHtml(row.statusClass || '')}" data-mastodon="${escapeHtml(row.mastodonAddress || '')}" data-bluesky="${escapeHtml(row.blueskyHandle || '')}">
+          <td class="select"><input type="checkbox" aria-label="Select"></td>
+          ${columns.map(column => `<td${column.className ? ` class="${escapeHtml(column.className(row))}"` : ''}>${column.cell(row)}</td>`).join('\n          ')}
+        </tr>`).join('\n        ')}
+      </tbody>
+    </table>
+  </div>`;
+}
+
+// A complete report page
+function reportPage(title, body) {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${REPORT_STYLE}
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+  <script>${REPORT_SCRIPT}
+  </script>
+</body>
+</html>
+    `.trim();
+}
+
+module.exports = {
+    escapeHtml,
+    linkHtml,
+    copyButton,
+    resultsTable,
+    reportPage
+};
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk').default;
+const { bridgeName } = require('./bridgeProviders.js');
+const { escapeHtml, linkHtml } = require('./reportHtml.js');
+
+// Snapshots of each conversion's results, per direction and handle, for "what changed since last
+// time" reports. They live in .history/<direction>-<handle>/ next to the run files and are never
+// removed by cleanup, so the next run always has something to compare against.
+
+const HISTORY_DIR = '.history';
+// Bump when the snapshot layout changes so old snapshots are ignored instead of misread
+const SNAPSHOT_VERSION = 1;
+// Most recent newly bridged accounts listed in the Atom feed
+const FEED_ENTRIES = 50;
+
+const CHANGES = {
+    newly_bridged: 'Newly bridged',
+    no_longer_bridged: 'No longer bridged',
+    newly_followed: 'Newly followed',
+    gone: 'Account gone',
+    handle_changed: 'Handle changed'
+};
+
+const STATUS_LABELS = {
+    bridged: 'Bridged',
+    not_bridged: 'Not bridged',
+    could_not_check: 'Could not check',
+    native_account: 'Native account'
+};
+
+// Directory for one handle's snapshots; the handle is lowercased and made safe for a file name
+function historyDir(direction, actor) {
+    const actorKey = String(actor || 'unknown').replace(/^@/, '').toLowerCase().replace(/[^a-z0-9._-]/g, '_');
+    return path.join(HISTORY_DIR, `${direction}-${actorKey}`);
+}
+
+// Snapshots of a handle, oldest first
+function listSnapshots(direction, actor) {
+    const dir = historyDir(direction, actor);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => {
+            try {
+                const snapshot = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                return snapshot.version === SNAPSHOT_VERSION ? snapshot : null;
+            } catch (err) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+// Bluesky accounts are keyed by DID so a handle change is seen as one account; Mastodon accounts have
+// no stable id, so they're keyed by address
+function recordKey(record) {
+    return record.source.did || record.source.address.replace(/^@/, '').toLowerCase();
+}
+
+// Snapshot entries for a run's records. Accounts that couldn't be checked this time keep their last
+// known status, so a failed lookup doesn't show up as a change.
+function snapshotAccounts(records, previous) {
+    const accounts = {};
+    for (const record of records) {
+        const key = recordKey(record);
+        const before = previous ? previous.accounts[key] : null;
+        if (record.status === 'could_not_check' && before) {
+            accounts[key] = { ...before, address: record.source.address, unchecked: true };
+            continue;
+        }
+        accounts[key] = {
+            address: record.source.address,
+            target: record.target ? record.target.address : null,
+            link: record.target && record.target.profileUrl ? record.target.profileUrl : record.source.profileUrl,
+            status: record.status,
+            bridge: record.bridge
+        };
+    }
+    return accounts;
+}
+
+// Compare two snapshots' accounts; returns [{ change, key, address, previous, current, link, bridge }]
+function compareAccounts(before, after) {
+    const changes = [];
+    const add = (change, key, account, previous, current) => changes.push({
+        change, key, address: account.address, previous, current, link: account.link || '',
+        // An account that's no longer bridged still shows the bridge it was on
+        bridge: account.bridge || (before[key] && before[key].bridge) || null
+    });
+    for (const [key, account] of Object.entries(after)) {
+        const old = before[key];
+        if (!old) {
+            add('newly_followed', key, account, '', STATUS_LABELS[account.status]);
+            continue;
+        }
+        if (account.status === 'bridged' && old.status === 'not_bridged') {
+            add('newly_bridged', key, account, STATUS_LABELS[old.status], STATUS_LABELS[account.status]);
+        } else if (account.status === 'not_bridged' && old.status === 'bridged') {
+            add('no_longer_bridged', key, account, STATUS_LABELS[old.status], STATUS_LABELS[account.status]);
+        }
+        if (old.address.toLowerCase() !== account.address.toLowerCase()) {
+            add('handle_changed', key, account, old.address, account.address);
+        } else if (old.target && account.target && old.target.toLowerCase() !== account.target.toLowerCase()) {
+            add('handle_changed', key, account, old.target, account.target);
+        }
+    }
+    for (const [key, account] of Object.entries(before)) {
+        if (!after[key]) add('gone', key, account, STATUS_LABELS[account.status], '');
+    }
+    const order = Object.keys(CHANGES);
+    return changes.sort((a, b) => order.indexOf(a.change) - order.indexOf(b.change) || a.address.localeCompare(b.address));
+}
+
+// Save a snapshot of a run's records and compare it with the handle's previous one.
+// Returns { previous, snapshot, changes }; previous is null on a handle's first run.
+function recordRun(direction, actor, runId, records) {
+    const snapshots = listSnapshots(direction, actor);
+    const previous = snapshots.length ? snapshots[snapshots.length - 1] : null;
+    const accounts = snapshotAccounts(records, previous);
+    const changes = previous ? compareAccounts(previous.accounts, accounts) : [];
+    const snapshot = { version: SNAPSHOT_VERSION, direction, actor, runId, takenAt: new Date().toISOString(), changes, accounts };
+    const dir = historyDir(direction, actor);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${runId}.json`), JSON.stringify(snapshot), 'utf8');
+    return { previous, snapshot, changes };
+}
+
+// "2 newly bridged, 1 account gone"
+function describeChanges(changes) {
+    return Object.keys(CHANGES)
+        .map(change => [CHANGES[change], changes.filter(entry => entry.change === change).length])
+        .filter(([, count]) => count > 0)
+        .map(([label, count]) => `${count} ${label.toLowerCase()}`)
+        .join(', ');
+}
+
+// Write the changes since the previous run to CSV
+function writeChangesCsv(changes, csvPath) {
+    const lines = ['Change,Account,Previous,Current,Link,Bridge'];
+    for (const change of changes) {
+        const fields = [CHANGES[change.change], change.address, change.previous, change.current, change.link, bridgeName(change.bridge)];
+        lines.push(fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+    }
+    fs.writeFileSync(csvPath, lines.join('\n') + '\n', 'utf8');
+    console.log(chalk.green(`Changes since the last run saved as ${csvPath} (${changes.length} entries).`));
+}
+
+// HTML section with the changes since the previous run, for the top of the results page
+function changesHtmlSection(history) {
+    if (!history) return '';
+    if (!history.previous) {
+        return `
+  <h2>Changes since last run</h2>
+  <div class="count">This is the first run for ${escapeHtml(history.snapshot.actor)}; the next run will list what changed since this one.</div>`;
+    }
+    const { changes } = history;
+    const since = new Date(history.previous.takenAt).toLocaleString();
+    if (changes.length === 0) {
+        return `
+  <h2>Changes since last run</h2>
+  <div class="count">Nothing changed since ${since}.</div>`;
+    }
+    const statusClass = change => ({ newly_bridged: 'status-green', no_longer_bridged: 'status-red', gone: 'status-red', handle_changed: 'status-orange' }[change] || '');
+    return `
+  <h2>Changes since last run (${changes.length})</h2>
+  <div class="count">Since ${since}: ${describeChanges(changes)}.</div>
+  <table>
+    <tr>
+      <th>Change</th>
+      <th>Account</th>
+      <th>Previous</th>
+      <th>Current</th>
+      <th>Bridge</th>
+    </tr>
+    ${changes.map(change => `
+      <tr>
+        <td class="${statusClass(change.change)}">${CHANGES[change.change]}</td>
+        <td>${linkHtml(change.link, change.address)}</td>
+        <td>${escapeHtml(change.previous)}</td>
+        <td>${escapeHtml(change.current)}</td>
+        <td>${escapeHtml(bridgeName(change.bridge))}</td>
+      </tr>
+    `).join('')}
+  </table>`;
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]));
+}
+
+// Stable entry ids, so feed readers don't show an account twice when the feed is rewritten
+function feedId(...parts) {
+    const hex = crypto.createHash('sha1').update(parts.join('\n')).digest('hex');
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 3) | 8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Write an Atom feed of the accounts that became bridged in a handle's recent runs. The feed is
+// rebuilt from the snapshots each time, so it can be written to a fixed path a feed reader polls.
+function writeAtomFeed(direction, actor, feedPath) {
+    const network = direction === 'bskyToMasto' ? 'the Fediverse' : 'Bluesky';
+    const snapshots = listSnapshots(direction, actor);
+    const entries = [];
+    for (const snapshot of [...snapshots].reverse()) {
+        for (const change of snapshot.changes.filter(entry => entry.change === 'newly_bridged')) {
+            if (entries.length < FEED_ENTRIES) entries.push({ snapshot, change });
+        }
+    }
+    const updated = snapshots.length ? snapshots[snapshots.length - 1].takenAt : new Date().toISOString();
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(`Fediverse Radar: newly bridged to ${network} for ${actor}`)}</title>
+  <id>${feedId(direction, actor)}</id>
+  <updated>${updated}</updated>
+  <author><name>Fediverse Radar</name></author>
+${entries.map(({ snapshot, change }) => `  <entry>
+    <title>${escapeXml(`${change.address} is now bridged to ${network}`)}</title>
+    <id>${feedId(direction, actor, snapshot.runId, change.key)}</id>
+    <updated>${snapshot.takenAt}</updated>
+${change.link ? `    <link href="${escapeXml(change.link)}"/>\n` : ''}    <content type="text">${escapeXml(`${change.address} was not bridged in the previous run and is now bridged${change.bridge ? ` via ${bridgeName(change.bridge)}` : ''}.`)}</content>
+  </entry>
+`).join('')}</feed>
+`;
+    fs.writeFileSync(feedPath, xml, 'utf8');
+    console.log(chalk.green(`Atom feed saved as ${feedPath} (${entries.length} entries).`));
+}
+
+// Read --atom FILE from CLI args; null when no feed was asked for
+function parseAtomArg(args) {
+    const idx = args.indexOf('--atom');
+    return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
+}
+
+// Snapshot a conversion's records and write its change report: the run's changes.csv when there is a
+// previous run to compare with, and the Atom feed with --atom FILE. Returns the history for
+// changesHtmlSection.
+function reportChanges(direction, actor, records, outputs, args) {
+    const history = recordRun(direction, actor, outputs.id, records);
+    if (history.previous) {
+        console.log(chalk.cyan(`Since the last run on ${new Date(history.previous.takenAt).toLocaleString()}: ${describeChanges(history.changes) || 'nothing changed'}.`));
+        writeChangesCsv(history.changes, outputs.path('changes.csv'));
+        outputs.add('changes', outputs.path('changes.csv'));
+    }
+    const feedPath = parseAtomArg(args);
+    if (feedPath) {
+        // The feed is subscribed to at a fixed path, so cleanup leaves it alone
+        writeAtomFeed(direction, actor, feedPath);
+        outputs.add('feed', feedPath, { keep: true });
+    }
+    return history;
+}
+
+module.exports = {
+    CHANGES,
+    recordRun,
+    writeChangesCsv,
+    changesHtmlSection,
+    writeAtomFeed,
+    parseAtomArg,
+    reportChanges
+};
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk').default;
+
+// Each run of a command writes its files under its own name, <command>-<timestamp>-<name>, in the
+// working directory (the output directory when one is set), and lists them in a manifest,
+// <command>-<timestamp>.manifest.json, so reports from different runs never overwrite each other
+// and cleanup can remove exactly what a run produced.
+
+const MANIFEST_SUFFIX = '.manifest.json';
+
+// Local time as YYYYMMDD-HHMMSS, for file names that sort by date
+function timestamp(date = new Date()) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Wrap a manifest with the helpers every caller uses. The manifest is rewritten on every change,
+// so an interrupted run still lists the files it got to write.
+function runFromManifest(manifestPath, manifest) {
+    const dir = path.dirname(manifestPath);
+    const save = () => fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+    return {
+        id: manifest.id,
+        command: manifest.command,
+        manifestPath,
+        manifest,
+        // Path for one of the run's files, e.g. path('report.html')
+        path(name) {
+            return path.join(dir, `${manifest.id}-${name}`);
+        },
+        // List a file the run has written, under a kind such as 'report' or 'results'.
+        // keep: the file was named by the user, so cleanup leaves it alone.
+        add(kind, filePath, { keep = false } = {}) {
+            const relative = path.relative(dir, path.resolve(filePath));
+            manifest.files = manifest.files.filter(file => file.path !== relative);
+            manifest.files.push(keep ? { kind, path: relative, keep } : { kind, path: relative });
+            save();
+        },
+        // Path of the run's file of a kind, or null if the run didn't write one
+        find(kind) {
+            const file = manifest.files.find(entry => entry.kind === kind);
+            return file ? path.join(dir, file.path) : null;
+        },
+        finish(exitCode = process.exitCode || 0) {
+            manifest.finishedAt = new Date().toISOString();
+            manifest.exitCode = exitCode;
+            save();
+        }
+    };
+}
+
+// Start a run of a command; args are recorded in the manifest for reference
+function start(command, args = [], { dir = '.' } = {}) {
+    const base = `${command}-${timestamp()}`;
+    // Two runs started within the same second get a counter
+    let id = base;
+    for (let n = 2; fs.existsSync(path.join(dir, `${id}${MANIFEST_SUFFIX}`)); n++) {
+        id = `${base}-${n}`;
+    }
+    const manifestPath = path.join(dir, `${id}${MANIFEST_SUFFIX}`);
+    const run = runFromManifest(manifestPath, { id, command, args, startedAt: new Date().toISOString(), finishedAt: null, exitCode: null, files: [] });
+    fs.writeFileSync(manifestPath, JSON.stringify(run.manifest, null, 2), 'utf8');
+    return run;
+}
+
+// Load a run from its manifest; returns null if it can't be read
+function load(manifestPath) {
+    try {
+        return runFromManifest(manifestPath, JSON.parse(fs.readFileSync(manifestPath, 'utf8')));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Runs in a directory, oldest first; only runs of the given command when one is given
+function list(command = null, { dir = '.' } = {}) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(MANIFEST_SUFFIX) && (!command || name.startsWith(`${command}-`)))
+        .map(name => load(path.join(dir, name)))
+        .filter(run => run && (!command || run.command === command))
+        .sort((a, b) => a.manifest.startedAt.localeCompare(b.manifest.startedAt));
+}
+
+// Most recent run of a command that wrote a file of the given kind, or null
+function latest(command, kind, options = {}) {
+    return list(command, options).reverse().find(run => run.find(kind)) || null;
+}
+
+// Delete the files a run listed (except those it was told to keep) and its manifest; returns the
+// number of files removed
+function remove(run) {
+    let removed = 0;
+    const dir = path.dirname(run.manifestPath);
+    const files = run.manifest.files.filter(entry => !entry.keep).map(entry => path.join(dir, entry.path));
+    for (const file of [...files, run.manifestPath]) {
+        if (!fs.existsSync(file)) continue;
+        try {
+            fs.unlinkSync(file);
+            removed++;
+        } catch (err) {
+            console.warn(chalk.yellow(`Could not delete ${file}: ${err.message}`));
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    MANIFEST_SUFFIX,
+    timestamp,
+    start,
+    load,
+    list,
+    latest,
+    remove
+};
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { lookupBlueskyActor } = require('../bridgyFed.js');
+
+// Answer requests from a map of URL → { status, data }; anything else is a 404
+function serve(t, pages) {
+    const original = axios.request;
+    const requested = [];
+    t.after(() => { axios.request = original; });
+    axios.request = async (config) => {
+        requested.push(config.url);
+        const page = pages[config.url] || { status: 404, data: 'Not found' };
+        if (page.status >= 400) {
+            const err = new Error(`Request failed with status code ${page.status}`);
+            err.response = { status: page.status, data: page.data, headers: {} };
+            throw err;
+        }
+        return { status: page.status, data: page.data, headers: {} };
+    };
+    return requested;
+}
+
+test('the bridged account comes from Bridgy Fed\'s handle resolution', async (t) => {
+    const requested = serve(t, {
+        'https://alice.example.social.ap.brid.gy/.well-known/atproto-did': { status: 200, data: 'did:plc:abcdefghijklmnopqrstuvwx\n' }
+    });
+    assert.strictEqual(await lookupBlueskyActor('@alice@example.social'), 'did:plc:abcdefghijklmnopqrstuvwx');
+    assert.deepStrictEqual(requested, ['https://alice.example.social.ap.brid.gy/.well-known/atproto-did']);
+});
+
+test('a profile page linking another account isn\'t read as the bridged account', async (t) => {
+    serve(t, {
+        'https://fed.brid.gy/ap/@bob@example.social': {
+            status: 200,
+            data: '<p>Also on <a href="https://bsky.app/profile/friend.bsky.social">Bluesky</a>, did:plc:zzzzzzzzzzzzzzzzzzzzzzzz</p>'
+        }
+    });
+    assert.strictEqual(await lookupBlueskyActor('bob@example.social'), null);
+});
+
+test('an answer that isn\'t a DID is no bridged account', async (t) => {
+    serve(t, {
+        'https://carol.example.social.ap.brid.gy/.well-known/atproto-did': { status: 200, data: '<html>see https://bsky.app/profile/friend.bsky.social</html>' }
+    });
+    assert.strictEqual(await lookupBlueskyActor('carol@example.social'), null);
+});
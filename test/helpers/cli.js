@@ -0,0 +1,28 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const root = path.join(__dirname, '..', '..');
+
+// A working directory for one test, removed when it ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'radar-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// Run the CLI in dir with requests failing, the way a run stops when its network goes away
+function runRadar(dir, args) {
+    return spawnSync(process.execPath, ['-r', path.join(__dirname, 'offline.js'), path.join(root, 'fediverse-radar.js'), ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout: 60000,
+        env: { ...process.env, FEDIVERSE_RADAR_CACHE_DIR: path.join(dir, 'cache') }
+    });
+}
+
+module.exports = {
+    tempDir,
+    runRadar
+};
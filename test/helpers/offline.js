@@ -0,0 +1,9 @@
+// Preloaded (node -r) into CLI runs under test: every request fails at once as if the network were
+// down, so runs stop at their first fetch without leaving the machine
+const axios = require('axios');
+
+axios.request = async (config) => {
+    const err = new Error(`getaddrinfo ENOTFOUND ${new URL(config.url).hostname}`);
+    err.code = 'ENOTFOUND';
+    throw err;
+};
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const http = require('../httpClient.js');
+
+test('sleep stops waiting when the call is aborted', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const waiting = http.withSignal(controller.signal, () => http.sleep(60000));
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+    await assert.rejects(waiting, /cancelled/);
+    assert.ok(Date.now() - started < 5000);
+});
+
+// Count the requests that reach axios, failing each with err
+function failRequests(t, err) {
+    const original = axios.request;
+    const calls = { count: 0 };
+    t.after(() => { axios.request = original; });
+    axios.request = async () => {
+        calls.count++;
+        throw err;
+    };
+    return calls;
+}
+
+test('errors that aren\'t network failures are raised without retrying', async (t) => {
+    http.configure(['--retries', '3']);
+    const calls = failRequests(t, new TypeError('Cannot read properties of undefined'));
+    await assert.rejects(http.get('https://example.test/'), TypeError);
+    assert.strictEqual(calls.count, 1);
+});
+
+test('aborted requests are raised without retrying', async (t) => {
+    http.configure(['--retries', '3']);
+    const abort = new Error('The operation was aborted');
+    abort.name = 'AbortError';
+    const calls = failRequests(t, abort);
+    await assert.rejects(http.get('https://example.test/'), { name: 'AbortError' });
+    assert.strictEqual(calls.count, 1);
+});
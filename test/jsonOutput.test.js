@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, runRadar } = require('./helpers/cli.js');
+
+test('a run that stops early still writes its JSON document', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'radar.config'), 'HANDLE=me.bsky.social\nCHECK_INSTANCE=mastodon.social\nWRITE_INSTANCE=mastodon.social\nUNBRIDGED=false\n');
+
+    const run = runRadar(dir, ['-f2', 'radar.config', '--yes', '--no-open', '--retries', '0', '--format', 'json', '--output', 'results.json']);
+    assert.notStrictEqual(run.status, 0, run.stdout + run.stderr);
+    const document = JSON.parse(fs.readFileSync(path.join(dir, 'results.json'), 'utf8'));
+    assert.strictEqual(document.direction, 'bskyToMasto');
+    assert.deepStrictEqual(document.records, []);
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers/cli.js');
+const { readFollowCandidates } = require('../mastoFollow.js');
+
+test('accounts your instance blocks the bridge of aren\'t offered for following', (t) => {
+    const csvPath = path.join(tempDir(t), 'accounts.csv');
+    fs.writeFileSync(csvPath, [
+        'Handle,Link,Status,DID,Bridge,Diagnosis,Suggested action,Diagnosis code',
+        '"@alice.bsky.social@bsky.brid.gy","","Bridged (via Bridgy Fed)","did:plc:a","bridgy-fed","","",""',
+        '"@bob.bsky.social@bsky.brid.gy","","Bridged (via Bridgy Fed)","did:plc:b","bridgy-fed","example.social blocks bsky.brid.gy","Ask your instance\'s admins to unblock the bridge.","instance_blocks_bridge"',
+        '"@carol.bsky.social@bsky.brid.gy","","Not bridged","did:plc:c","","The bridge no longer bridges the account","Follow it on Bluesky instead.","opted_out"',
+        '"@dave.bsky.social@bsky.brid.gy","","Bridged (via Bridgy Fed)","did:plc:d","bridgy-fed","example.social hasn\'t fetched the account yet","Search for the address.","not_known_to_instance"'
+    ].join('\n') + '\n');
+    assert.deepStrictEqual(readFollowCandidates(csvPath), ['alice.bsky.social@bsky.brid.gy', 'dave.bsky.social@bsky.brid.gy']);
+});
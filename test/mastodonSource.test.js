@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { tempDir } = require('./helpers/cli.js');
+const { sourceKind, loadMastodonFollows } = require('../mastodonSource.js');
+const { readAccountArchive } = require('../mastodonArchive.js');
+
+// CRC-32 of a file, as zip headers store it
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip of files given as { name, text, deflate }: local headers and data, then the central directory
+function zipArchive(files) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    for (const { name, text, deflate = false } of files) {
+        const data = Buffer.from(text);
+        const stored = deflate ? zlib.deflateRawSync(data) : data;
+        const nameBytes = Buffer.from(name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(deflate ? 8 : 0, 8);
+        header.writeUInt32LE(crc32(data), 14);
+        header.writeUInt32LE(stored.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(deflate ? 8 : 0, 10);
+        entry.writeUInt32LE(crc32(data), 16);
+        entry.writeUInt32LE(stored.length, 20);
+        entry.writeUInt32LE(data.length, 24);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        parts.push(header, nameBytes, stored);
+        directory.push(entry, nameBytes);
+        offset += header.length + nameBytes.length + stored.length;
+    }
+    const directoryBytes = Buffer.concat(directory);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directoryBytes.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...parts, directoryBytes, end]);
+}
+
+test('follows are read from a following CSV in an archive wrapped in a folder', async (t) => {
+    const zipPath = path.join(tempDir(t), 'archive.zip');
+    fs.writeFileSync(zipPath, zipArchive([
+        { name: 'archive-20240101/actor.json', text: JSON.stringify({ id: 'https://Example.Social/users/Me', preferredUsername: 'Me' }), deflate: true },
+        { name: 'archive-20240101/following_accounts.csv', text: 'Account address,Show boosts\n@Alice@example.social,true\nbob@other.example,true\n', deflate: true },
+        { name: 'archive-20240101/media/avatar.png', text: 'not really an image' }
+    ]));
+
+    assert.strictEqual(sourceKind(zipPath), 'archive');
+    assert.deepStrictEqual(await loadMastodonFollows(zipPath), {
+        account: 'me@example.social',
+        addresses: ['alice@example.social', 'bob@other.example']
+    });
+});
+
+test('following.json items are read as URLs or as objects with an id', (t) => {
+    const zipPath = path.join(tempDir(t), 'backup.zip');
+    const following = { type: 'OrderedCollection', orderedItems: ['https://example.social/users/alice', { id: 'https://other.example/users/bob' }, null] };
+    fs.writeFileSync(zipPath, zipArchive([
+        { name: 'actor.json', text: JSON.stringify({ id: 'https://example.social/users/me', preferredUsername: 'me' }) },
+        { name: 'following.json', text: JSON.stringify(following), deflate: true }
+    ]));
+
+    assert.deepStrictEqual(readAccountArchive(zipPath), {
+        account: 'me@example.social',
+        followingCsv: null,
+        actorUrls: ['https://example.social/users/alice', 'https://other.example/users/bob']
+    });
+});
+
+test('a following CSV is still read as a CSV', async (t) => {
+    const csvPath = path.join(tempDir(t), 'following_accounts.csv');
+    fs.writeFileSync(csvPath, 'Account address,Show boosts\n@Alice@example.social,true\n');
+
+    assert.strictEqual(sourceKind(csvPath), 'csv');
+    assert.deepStrictEqual(await loadMastodonFollows(csvPath), { account: null, addresses: ['alice@example.social'] });
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./helpers/offline.js');
+const radar = require('../radar.js');
+
+radar.configure({ cache: false, retries: 0 });
+
+test('accounts that can\'t be checked are reported as such, one record each', async () => {
+    const reported = [];
+    const result = await radar.findBridgedFromMastodon({
+        accounts: ['@alice@example.social', 'someone.bsky.social@bsky.brid.gy'],
+        onResult: record => reported.push(record)
+    });
+    assert.strictEqual(result.schemaVersion, radar.SCHEMA_VERSION);
+    assert.strictEqual(result.direction, 'mastoToBsky');
+    // Bridged copies of Bluesky accounts are left out of the Mastodon to Bluesky check
+    assert.deepStrictEqual(result.records.map(record => [record.source.address, record.status]), [['alice@example.social', 'could_not_check']]);
+    assert.deepStrictEqual(reported, result.records);
+});
+
+test('a Bluesky follow list that can\'t be fetched fails the call', async () => {
+    await assert.rejects(radar.findBridgedFromBluesky({ actor: 'me.bsky.social' }), /ENOTFOUND/);
+});
+
+test('an aborted call rejects with the abort reason', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(radar.findBridgedFromMastodon({ accounts: ['alice@example.social'], signal: controller.signal }), /cancelled/);
+});
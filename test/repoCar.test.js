@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers/cli.js');
+const { readRepoFollows } = require('../repoCar.js');
+
+// A CID link in a block being encoded
+class Link {
+    constructor(cid) {
+        this.cid = cid;
+    }
+}
+
+// Unsigned LEB128, as CAR files frame their header and blocks
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+// Just enough DAG-CBOR for commits, MST nodes and records
+function encode(value) {
+    const head = (major, length) => {
+        if (length < 24) return Buffer.from([(major << 5) | length]);
+        if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+        const bytes = Buffer.alloc(3);
+        bytes[0] = (major << 5) | 25;
+        bytes.writeUInt16BE(length, 1);
+        return bytes;
+    };
+    if (value === null) return Buffer.from([0xf6]);
+    if (typeof value === 'boolean') return Buffer.from([value ? 0xf5 : 0xf4]);
+    if (typeof value === 'number') return head(0, value);
+    if (typeof value === 'string') return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+    if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+    if (value instanceof Link) return Buffer.concat([Buffer.from([0xd8, 42]), encode(Buffer.concat([Buffer.from([0]), value.cid]))]);
+    if (Array.isArray(value)) return Buffer.concat([head(4, value.length), ...value.map(encode)]);
+    const keys = Object.keys(value).sort((a, b) => a.length - b.length || (a < b ? -1 : 1));
+    return Buffer.concat([head(5, keys.length), ...keys.flatMap(key => [encode(key), encode(value[key])])]);
+}
+
+// Blocks of a repo, each stored under a CIDv1 (dag-cbor, sha-256) or, with v0, a bare CIDv0 multihash
+function blockStore() {
+    const blocks = [];
+    return {
+        blocks,
+        add(value, { v0 = false } = {}) {
+            const data = encode(value);
+            const digest = crypto.createHash('sha256').update(data).digest();
+            const cid = Buffer.concat([Buffer.from(v0 ? [0x12, 0x20] : [0x01, 0x71, 0x12, 0x20]), digest]);
+            blocks.push({ cid, data });
+            return new Link(cid);
+        }
+    };
+}
+
+// MST node entries for keys in order, each key stored as the prefix it shares with the previous one plus the rest
+function mstEntries(entries) {
+    let previous = '';
+    return entries.map(({ key, value, right = null }) => {
+        let shared = 0;
+        while (shared < previous.length && previous[shared] === key[shared]) shared++;
+        previous = key;
+        return { p: shared, k: Buffer.from(key.slice(shared)), v: value, t: right };
+    });
+}
+
+// A CAR v1 file with one root
+function carFile(root, blocks) {
+    const header = encode({ version: 1, roots: [root] });
+    const parts = [varint(header.length), header];
+    for (const { cid, data } of blocks) parts.push(varint(cid.length + data.length), cid, data);
+    return Buffer.concat(parts);
+}
+
+test('follows are read from a two-level MST in key order, once per account', (t) => {
+    const store = blockStore();
+    const follow = (did, createdAt, options) => store.add({ $type: 'app.bsky.graph.follow', subject: did, createdAt }, options);
+    const profile = store.add({ $type: 'app.bsky.actor.profile', displayName: 'Me' });
+    const alice = follow('did:plc:alice', '2024-01-01T00:00:00.000Z');
+    const bob = follow('did:plc:bob', '2024-01-02T00:00:00.000Z', { v0: true });
+    const aliceAgain = follow('did:plc:alice', '2024-01-03T00:00:00.000Z');
+    const carol = follow('did:plc:carol', '2024-01-04T00:00:00.000Z');
+
+    const left = store.add({
+        l: null,
+        e: mstEntries([
+            { key: 'app.bsky.actor.profile/self', value: profile },
+            { key: 'app.bsky.graph.follow/3kaaa', value: alice }
+        ])
+    });
+    const right = store.add({
+        l: null,
+        e: mstEntries([
+            { key: 'app.bsky.graph.follow/3kccc', value: aliceAgain },
+            { key: 'app.bsky.graph.follow/3kccd', value: carol }
+        ])
+    });
+    const root = store.add({ l: left, e: mstEntries([{ key: 'app.bsky.graph.follow/3kbbb', value: bob, right }]) });
+    const commit = store.add({ did: 'did:plc:me', version: 3, data: root, rev: '3kzzz', prev: null, sig: Buffer.alloc(64) });
+
+    const carPath = path.join(tempDir(t), 'repo.car');
+    fs.writeFileSync(carPath, carFile(commit, store.blocks));
+
+    assert.deepStrictEqual(readRepoFollows(carPath), {
+        did: 'did:plc:me',
+        follows: [
+            { did: 'did:plc:alice', rkey: '3kaaa', createdAt: '2024-01-01T00:00:00.000Z' },
+            { did: 'did:plc:bob', rkey: '3kbbb', createdAt: '2024-01-02T00:00:00.000Z' },
+            { did: 'did:plc:carol', rkey: '3kccd', createdAt: '2024-01-04T00:00:00.000Z' }
+        ]
+    });
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, runRadar } = require('./helpers/cli.js');
+
+test('a config run stopped with passthrough switches is offered for resume', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'bridges.json'), JSON.stringify({ providers: [] }));
+    fs.writeFileSync(path.join(dir, 'radar.config'), 'HANDLE=me.bsky.social\nCHECK_INSTANCE=mastodon.social\nWRITE_INSTANCE=mastodon.social\nUNBRIDGED=false\n');
+    const args = ['-f2', 'radar.config', '--yes', '--no-open', '--retries', '0', '--sort', 'activity', '--inactive-days', '30', '--bridges', 'bridges.json'];
+
+    const first = runRadar(dir, args);
+    assert.notStrictEqual(first.status, 0, first.stdout + first.stderr);
+    assert.ok(fs.existsSync(path.join(dir, '.checkpoint-bskyToMasto.json')), 'the stopped run keeps its checkpoint');
+
+    const second = runRadar(dir, args);
+    assert.match(second.stdout, /Found an unfinished run/);
+    assert.match(second.stdout, /Resuming run started/);
+});
+
+test('a run with other identifying switches starts over', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'radar.config'), 'HANDLE=me.bsky.social\nCHECK_INSTANCE=mastodon.social\nWRITE_INSTANCE=mastodon.social\nUNBRIDGED=false\n');
+    const args = ['-f2', 'radar.config', '--yes', '--no-open', '--retries', '0'];
+
+    runRadar(dir, [...args, '--sort', 'activity']);
+    const second = runRadar(dir, [...args, '--inactive-days', '30']);
+    assert.doesNotMatch(second.stdout, /Found an unfinished run/);
+});
+
+test('a config run with OUTPUT_DIR and a bridges.json in the start directory is offered for resume', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'bridges.json'), JSON.stringify({ providers: [] }));
+    fs.writeFileSync(path.join(dir, 'radar.config'), 'HANDLE=me.bsky.social\nCHECK_INSTANCE=mastodon.social\nWRITE_INSTANCE=mastodon.social\nUNBRIDGED=false\nOUTPUT_DIR=out\n');
+    const args = ['-f2', 'radar.config', '--yes', '--no-open', '--retries', '0'];
+
+    runRadar(dir, args);
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, 'out', '.checkpoint-bskyToMasto.json'), 'utf8'));
+    assert.deepStrictEqual(meta.args.slice(-2), ['--bridges', path.join(fs.realpathSync(dir), 'bridges.json')]);
+    const second = runRadar(dir, args);
+    assert.match(second.stdout, /Found an unfinished run/);
+});
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const chalk = require('chalk').default;
+const interaction = require('./interaction.js');
+const { escapeHtml, linkHtml } = require('./reportHtml.js');
+
+// Preformatted message asking Bridgy Fed to bridge an account.
+// Bluesky accounts are requested from the Fediverse by messaging @bsky.brid.gy@bsky.brid.gy,
+// Fediverse accounts are requested from Bluesky by messaging @ap.brid.gy.
+function bridgeRequestMessage(direction, handle) {
+    if (direction === 'bskyToMasto') {
+        return `@bsky.brid.gy@bsky.brid.gy ${handle}`;
+    }
+    return `@ap.brid.gy @${handle.replace(/^@/, '')}`;
+}
+
+// Decide whether to write the export: --unbridged / --no-unbridged and --unbridged-messages
+// answer it up front, otherwise the user is asked
+function resolveUnbridgedOptions(args, count) {
+    if (args.includes('--no-unbridged')) return { write: false, includeMessages: false };
+    if (args.includes('--unbridged')) return { write: true, includeMessages: args.includes('--unbridged-messages') };
+    if (count === 0) return { write: false, includeMessages: false };
+    const write = interaction.confirm(`Write the ${count} unbridged account${count === 1 ? '' : 's'} to a CSV file?`);
+    const includeMessages = write && interaction.confirm('Include a bridge request message for each account?');
+    return { write, includeMessages };
+}
+
+// Write unbridged accounts ({ handle, link }) with optional bridge request messages
+function writeUnbridgedCsv(rows, direction, includeMessages, csvPath) {
+    const headers = ['Handle', 'Link'];
+    if (includeMessages) headers.push('Bridge Request Message');
+    const lines = [headers.join(',')];
+    for (const row of rows) {
+        const fields = [row.handle, row.link];
+        if (includeMessages) fields.push(bridgeRequestMessage(direction, row.handle));
+        lines.push(fields.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+    }
+    fs.writeFileSync(csvPath, lines.join('\n') + '\n', 'utf8');
+    console.log(chalk.green(`Unbridged accounts saved as ${csvPath} (${rows.length} entries${includeMessages ? ', with bridge request messages' : ''}).`));
+}
+
+// HTML section listing unbridged accounts, for appending to the results page
+function unbridgedHtmlSection(rows, direction, includeMessages) {
+    if (rows.length === 0) return '';
+    return `
+  <h2>Not bridged (${rows.length})</h2>
+  <div class="count">${direction === 'bskyToMasto'
+        ? 'These Bluesky accounts are not bridged to the Fediverse. You can ask Bridgy Fed to invite them by messaging @bsky.brid.gy@bsky.brid.gy with their handle.'
+        : 'These Fediverse accounts have no bridged Bluesky account. You can ask Bridgy Fed to invite them by sending @ap.brid.gy a DM on Bluesky with their address.'}</div>
+  <table>
+    <tr>
+      <th>Handle</th>
+      <th>Link</th>
+      ${includeMessages ? '<th>Bridge Request Message</th>' : ''}
+    </tr>
+    ${rows.map(row => `
+      <tr>
+        <td>${escapeHtml(row.handle)}</td>
+        <td>${linkHtml(row.link)}</td>
+        ${includeMessages ? `<td><code>${escapeHtml(bridgeRequestMessage(direction, row.handle))}</code></td>` : ''}
+      </tr>
+    `).join('')}
+  </table>`;
+}
+
+module.exports = {
+    bridgeRequestMessage,
+    resolveUnbridgedOptions,
+    writeUnbridgedCsv,
+    unbridgedHtmlSection
+};